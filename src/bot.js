@@ -0,0 +1,4656 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import express from 'express';
+import fetch from 'node-fetch';
+import { Telegraf, Markup } from 'telegraf';
+import {
+  ADMIN_ID,
+  ADMIN_TOKEN,
+  BOT_TOKEN,
+  DEFAULT_LOCALE,
+  FILE_ID_CACHE_MAX,
+  MAX_ACTIVE_JOBS,
+  MAX_BULK_SONGS,
+  MAX_QUEUED_JOBS,
+  PUBLIC_URL,
+  STORAGE_DRIVER,
+  STORAGE_FILE,
+  TELEGRAM_API_ROOT,
+  ZIP_PART_BYTES
+} from './config.js';
+import { LOCALES, LOCALE_NAMES, localeFor, t, tmd } from './i18n.js';
+import {
+  ImportFormatError,
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_TRACKS,
+  isImportFile,
+  parsePlaylistFile
+} from './importer.js';
+import {
+  MAX_LINKS_PER_MESSAGE,
+  MIN_MATCH_SCORE,
+  PLATFORM_NAMES,
+  bestMatch,
+  classifyLink,
+  externalMeta,
+  extractUrls,
+  normalizeTitle,
+  rankMatches,
+  resolveLink
+} from './links.js';
+import { createCounter, createGauge, createHistogram, log, logContext } from './log.js';
+import { formatFilters, formatSearchQuery, parseSearchQuery } from './query.js';
+import {
+  MINUTE,
+  Saavn,
+  SaavnError,
+  SaavnNotFoundError,
+  SaavnTimeoutError,
+  SaavnUnavailableError,
+  breaker,
+  cacheGet,
+  cacheHitRate,
+  cacheSet,
+  cacheStats,
+  responseCache,
+  saavnHooks
+} from './saavn.js';
+import { escapeMd, hasBearerToken, secondsToTime, sleep } from './util.js';
+
+// every handler registers on import, nothing talks to Telegram until
+// server.js calls start()
+
+/* ------------------------------------------------------------------ */
+/*  BOT + METRICS                                                      */
+/* ------------------------------------------------------------------ */
+
+export const metrics = {
+  saavnLatency: createHistogram(
+    'groovia_saavn_request_duration_seconds',
+    'Saavn API call latency including retries',
+    ['endpoint', 'outcome']
+  ),
+  telegramLatency: createHistogram(
+    'groovia_telegram_api_duration_seconds',
+    'Telegram Bot API call latency',
+    ['method']
+  ),
+  downloads: createCounter(
+    'groovia_downloads_total',
+    'Songs delivered or failed, by quality',
+    ['quality', 'result']
+  ),
+  handlerErrors: createCounter(
+    'groovia_handler_errors_total',
+    'Errors escaping update handlers, by callback prefix or update type',
+    ['handler']
+  ),
+  updates: createCounter('groovia_updates_total', 'Telegram updates received', ['type']),
+  // gauges read live state lazily at scrape time
+  jobsActive: createGauge('groovia_bulk_jobs_active', 'Bulk download jobs running', () => activeJobs),
+  jobsQueued: createGauge('groovia_bulk_jobs_queued', 'Bulk download jobs waiting', () => jobQueue.length),
+  cacheEntries: createGauge('groovia_cache_entries', 'Cached Saavn responses', () => responseCache.size),
+  rateLimited: createCounter(
+    'groovia_rate_limited_total',
+    'Updates dropped by the per-user rate limiter',
+    ['category']
+  ),
+  usersSeen: createGauge('groovia_users_seen', 'Distinct users seen', () => globalStats.users.size)
+};
+
+export const bot = new Telegraf(BOT_TOKEN, { telegram: { apiRoot: TELEGRAM_API_ROOT } });
+
+// time every Bot API call made through this Telegram instance
+function instrumentTelegram(telegram) {
+  const callApi = telegram.callApi.bind(telegram);
+  telegram.callApi = (method, payload, opts) =>
+    metrics.telegramLatency.time({ method }, () => callApi(method, payload, opts));
+  return telegram;
+}
+
+instrumentTelegram(bot.telegram);
+
+bot.use((ctx, next) => {
+  metrics.updates.inc({ type: ctx.updateType });
+  // each update gets its own Telegram instance, instrument that too
+  instrumentTelegram(ctx.telegram);
+  const store = {
+    cid: crypto.randomBytes(6).toString('hex'),
+    updateId: ctx.update.update_id,
+    userId: ctx.from?.id
+  };
+  return logContext.run(store, next);
+});
+
+/* ------------------------------------------------------------------ */
+/*  SMALL HELPERS                                                      */
+/* ------------------------------------------------------------------ */
+
+export const userState = new Map(); // Map<userId, ReturnType<newUserState>>, see PERSISTENCE
+export const globalStats = {
+  totalRequests: 0,
+  totalDownloads: 0,
+  fileIdHits: 0,
+  fileIdMisses: 0,
+  users: new Set()
+};
+
+// Map<fileIdKey(), telegramFileId>, oldest first, see sendSongAudio
+export const fileIdCache = new Map();
+
+const bannedUsers = new Map(); // Map<userId, {at, reason}>, see RATE LIMITING
+const groupState = new Map(); // Map<chatId, ReturnType<newGroupState>>, see GROUP CHATS
+
+export function newUserState() {
+  return {
+    quality: '320', // default
+    mode: null,
+    searchType: null,
+    query: null,
+    page: 0,
+    lastResults: [],
+    history: [],
+    favorites: [], // song summaries, newest first
+    playlists: [], // [{id, name, songs: [summary], createdAt}]
+    downloads: [], // [{id, name, at}] songs sent to this user, newest first
+    digest: null, // {frequency: daily|weekly, hour, tz, lastSentAt}
+    forYou: null, // last mix shown, for its download buttons
+    pendingImport: null, // {name, entries, at} while an imported file is reviewed
+    searchDraft: null, // {type, text, filters} in the filter editor
+    username: null,
+    firstName: null,
+    languageCode: null,
+    lang: null, // locale picked in ⚙️ Settings, null = follow Telegram
+    lastSeen: null,
+    blockedBot: null // when a broadcast last bounced with 403
+  };
+}
+
+export function getUser(ctx) {
+  const id = ctx.from.id;
+  if (!userState.has(id)) {
+    userState.set(id, newUserState());
+  }
+  const u = userState.get(id);
+  u.username = ctx.from.username || null;
+  u.firstName = ctx.from.first_name || null;
+  u.languageCode = ctx.from.language_code || null;
+  u.lastSeen = Date.now();
+  u.blockedBot = null; // they are talking to us again
+  recordActivity(id);
+  // callers mutate the returned object directly, so assume it changed
+  markDirty();
+  return u;
+}
+
+function addHistory(ctx, type, item) {
+  const u = getUser(ctx);
+  u.history.unshift({ type, item, at: Date.now() });
+  if (u.history.length > 20) u.history = u.history.slice(0, 20);
+}
+
+// no getUser() here: reading the locale shouldn't count as activity
+export function userLocale(ctx) {
+  return localeFor(userState.get(ctx.from?.id), ctx.from?.language_code);
+}
+
+// ctx.t / ctx.tmd read the locale on every call, so a language switch
+// takes effect halfway through the update that made it
+bot.use((ctx, next) => {
+  ctx.t = (key, vars) => t(userLocale(ctx), key, vars);
+  ctx.tmd = (key, vars) => tmd(userLocale(ctx), key, vars);
+  return next();
+});
+
+/* ------------------------------------------------------------------ */
+/*  PERSISTENCE                                                        */
+/* ------------------------------------------------------------------ */
+
+// bump when the on-disk shape changes and add a step to MIGRATIONS
+const SCHEMA_VERSION = 5;
+
+// only these survive a restart; mode/query/lastResults are scratch state
+const PERSISTED_USER_FIELDS = [
+  'quality',
+  'history',
+  'favorites',
+  'playlists',
+  'downloads',
+  'digest',
+  'username',
+  'firstName',
+  'languageCode',
+  'lang',
+  'lastSeen',
+  'blockedBot'
+];
+
+// MIGRATIONS[n] upgrades a version n snapshot to version n + 1
+const MIGRATIONS = {
+  0: (snap) => ({ ...snap, version: 1 }),
+  1: (snap) => ({ ...snap, fileIds: {}, version: 2 }),
+  2: (snap) => ({ ...snap, analytics: {}, version: 3 }),
+  3: (snap) => ({ ...snap, banned: {}, version: 4 }),
+  4: (snap) => ({ ...snap, groups: {}, version: 5 })
+};
+
+const SAVE_DEBOUNCE_MS = 2000;
+
+function createJsonAdapter(file) {
+  return {
+    name: 'json',
+    async load() {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async save(snapshot) {
+      // write to a temp file and rename over the old one so a crash
+      // mid-write never leaves a truncated snapshot behind
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(snapshot));
+      await fs.rename(tmp, file);
+    }
+  };
+}
+
+function createMemoryAdapter() {
+  let stored = null;
+  return {
+    name: 'memory',
+    async load() {
+      return stored;
+    },
+    async save(snapshot) {
+      stored = snapshot;
+    }
+  };
+}
+
+const storageAdapters = {
+  json: () => createJsonAdapter(STORAGE_FILE),
+  memory: () => createMemoryAdapter()
+};
+
+if (!storageAdapters[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+const storage = storageAdapters[STORAGE_DRIVER]();
+let saveTimer = null;
+let saving = Promise.resolve();
+
+function snapshotState() {
+  const users = {};
+  for (const [id, u] of userState) {
+    users[id] = Object.fromEntries(PERSISTED_USER_FIELDS.map((k) => [k, u[k]]));
+  }
+  return {
+    version: SCHEMA_VERSION,
+    savedAt: Date.now(),
+    users,
+    fileIds: Object.fromEntries(fileIdCache),
+    analytics: snapshotAnalytics(),
+    banned: Object.fromEntries(bannedUsers),
+    // settings and the queue survive, whatever was playing doesn't
+    groups: Object.fromEntries(
+      [...groupState].map(([id, g]) => [id, { settings: g.settings, queue: g.queue, nextUid: g.nextUid }])
+    ),
+    stats: {
+      totalRequests: globalStats.totalRequests,
+      totalDownloads: globalStats.totalDownloads,
+      fileIdHits: globalStats.fileIdHits,
+      fileIdMisses: globalStats.fileIdMisses,
+      users: [...globalStats.users]
+    }
+  };
+}
+
+function migrateSnapshot(snap) {
+  let current = { version: 0, ...snap };
+  if (current.version > SCHEMA_VERSION) {
+    throw new Error(
+      `Storage schema v${current.version} is newer than supported v${SCHEMA_VERSION}`
+    );
+  }
+  while (current.version < SCHEMA_VERSION) {
+    current = MIGRATIONS[current.version](current);
+  }
+  return current;
+}
+
+export async function loadState() {
+  const raw = await storage.load();
+  if (!raw) return;
+  const snap = migrateSnapshot(raw);
+
+  for (const [id, saved] of Object.entries(snap.users || {})) {
+    userState.set(Number(id), { ...newUserState(), ...saved });
+  }
+  globalStats.totalRequests = snap.stats?.totalRequests || 0;
+  globalStats.totalDownloads = snap.stats?.totalDownloads || 0;
+  globalStats.fileIdHits = snap.stats?.fileIdHits || 0;
+  globalStats.fileIdMisses = snap.stats?.fileIdMisses || 0;
+  for (const [key, fileId] of Object.entries(snap.fileIds || {})) {
+    fileIdCache.set(key, fileId);
+  }
+  globalStats.users = new Set(snap.stats?.users || []);
+  restoreAnalytics(snap.analytics || {});
+  for (const [id, ban] of Object.entries(snap.banned || {})) {
+    bannedUsers.set(Number(id), ban);
+  }
+  for (const [id, saved] of Object.entries(snap.groups || {})) {
+    const g = newGroupState();
+    groupState.set(Number(id), { ...g, ...saved, settings: { ...g.settings, ...saved.settings } });
+  }
+
+  log.info('State loaded', { users: userState.size, storage: storage.name });
+}
+
+export function saveState() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  // chain saves so two writes never race on the temp file
+  saving = saving
+    .then(() => storage.save(snapshotState()))
+    .catch((e) => log.error('State save error', { err: e }));
+  return saving;
+}
+
+function markDirty() {
+  if (!saveTimer) saveTimer = setTimeout(saveState, SAVE_DEBOUNCE_MS);
+}
+
+/* ------------------------------------------------------------------ */
+/*  ANALYTICS                                                          */
+/* ------------------------------------------------------------------ */
+
+// rolled-up numbers for the admin dashboard, persisted with the rest
+// of the state so they outlive restarts
+
+const HOUR = 60 * 60 * 1000;
+const TIMELINE_HOURS = 7 * 24;
+const TOP_KEEP = 500; // counters are pruned back to this many keys
+const RECENT_DOWNLOADS = 200;
+
+const analytics = {
+  timeline: new Map(), // Map<hourStartMs, {requests, downloads, users: Set}>
+  queries: new Map(), // Map<query, count>
+  songs: new Map(), // Map<songId, {name, artist, count}>
+  endpoints: new Map(), // Map<endpoint, {calls, errors}>
+  recentDownloads: [] // newest first
+};
+
+function hourBucket(ts = Date.now()) {
+  const hour = Math.floor(ts / HOUR) * HOUR;
+  let bucket = analytics.timeline.get(hour);
+  if (!bucket) {
+    bucket = { requests: 0, downloads: 0, users: new Set() };
+    analytics.timeline.set(hour, bucket);
+    for (const key of analytics.timeline.keys()) {
+      if (key <= hour - TIMELINE_HOURS * HOUR) analytics.timeline.delete(key);
+    }
+  }
+  return bucket;
+}
+
+function topEntries(map, n, score = (v) => v) {
+  return [...map.entries()].sort((a, b) => score(b[1]) - score(a[1])).slice(0, n);
+}
+
+function pruneCounter(map, score) {
+  if (map.size <= TOP_KEEP * 2) return;
+  const keep = new Set(topEntries(map, TOP_KEEP, score).map(([k]) => k));
+  for (const key of map.keys()) if (!keep.has(key)) map.delete(key);
+}
+
+function recordActivity(userId) {
+  hourBucket().users.add(userId);
+}
+
+// outcome: ok | not_found | error | circuit_open
+function recordSaavnCall(endpoint, outcome, startedAt) {
+  metrics.saavnLatency.observe({ endpoint, outcome }, (Date.now() - startedAt) / 1000);
+  const stat = analytics.endpoints.get(endpoint) || { calls: 0, errors: 0 };
+  stat.calls += 1;
+  if (outcome === 'error' || outcome === 'circuit_open') stat.errors += 1;
+  analytics.endpoints.set(endpoint, stat);
+  hourBucket().requests += 1;
+}
+
+saavnHooks.onRequest = () => {
+  globalStats.totalRequests += 1;
+  markDirty();
+};
+saavnHooks.onResult = recordSaavnCall;
+
+function recordSearch(query) {
+  const key = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!key) return;
+  analytics.queries.set(key, (analytics.queries.get(key) || 0) + 1);
+  pruneCounter(analytics.queries);
+}
+
+// via: file_id | upload | url | zip
+function recordDownload(chatId, song, quality, via) {
+  metrics.downloads.inc({ quality, result: 'success' });
+  rememberUserDownload(chatId, song);
+  globalStats.totalDownloads += 1;
+  hourBucket().downloads += 1;
+
+  const stat = analytics.songs.get(song.id) || {
+    name: song.name || 'Unknown',
+    artist: songArtist(song),
+    count: 0
+  };
+  stat.count += 1;
+  analytics.songs.set(song.id, stat);
+  pruneCounter(analytics.songs, (v) => v.count);
+
+  analytics.recentDownloads.unshift({
+    at: Date.now(),
+    chatId,
+    songId: song.id,
+    name: song.name || 'Unknown',
+    quality,
+    via
+  });
+  analytics.recentDownloads.length = Math.min(
+    analytics.recentDownloads.length,
+    RECENT_DOWNLOADS
+  );
+  markDirty();
+}
+
+function snapshotAnalytics() {
+  return {
+    timeline: [...analytics.timeline].map(([hour, b]) => ({
+      hour,
+      requests: b.requests,
+      downloads: b.downloads,
+      users: [...b.users]
+    })),
+    queries: Object.fromEntries(analytics.queries),
+    songs: Object.fromEntries(analytics.songs),
+    endpoints: Object.fromEntries(analytics.endpoints),
+    recentDownloads: analytics.recentDownloads
+  };
+}
+
+function restoreAnalytics(saved) {
+  for (const b of saved.timeline || []) {
+    analytics.timeline.set(b.hour, {
+      requests: b.requests,
+      downloads: b.downloads,
+      users: new Set(b.users)
+    });
+  }
+  analytics.queries = new Map(Object.entries(saved.queries || {}));
+  analytics.songs = new Map(Object.entries(saved.songs || {}));
+  analytics.endpoints = new Map(Object.entries(saved.endpoints || {}));
+  analytics.recentDownloads = saved.recentDownloads || [];
+}
+
+/* ------------------------------------------------------------------ */
+/*  KEYBOARDS                                                          */
+/* ------------------------------------------------------------------ */
+
+const MENU_LAYOUT = [
+  ['song', 'album'],
+  ['playlist', 'artist'],
+  ['trending', 'foryou'],
+  ['history', 'library', 'settings']
+];
+
+function mainKeyboard(locale) {
+  return Markup.keyboard(
+    MENU_LAYOUT.map((row) => row.map((action) => t(locale, `menu.${action}`)))
+  ).resize();
+}
+
+// label -> action for every locale: a keyboard sent before a language
+// switch (or in another locale) must keep working
+const MENU_ACTIONS = new Map(
+  LOCALES.flatMap((locale) =>
+    MENU_LAYOUT.flat().map((action) => [t(locale, `menu.${action}`), action])
+  )
+);
+
+function menuAction(text) {
+  return MENU_ACTIONS.get(text.trim()) || null;
+}
+
+function settingsKeyboard(u, locale) {
+  const mark = (on) => (on ? '✅ ' : '');
+  return Markup.inlineKeyboard([
+    ...['96', '160', '320'].map((q) => [
+      Markup.button.callback(`${mark(u.quality === q)}${t(locale, `settings.q${q}`)}`, `q:${q}`)
+    ]),
+    LOCALES.map((l) => Markup.button.callback(`${mark(u.lang === l)}${LOCALE_NAMES[l]}`, `lang:${l}`)),
+    [Markup.button.callback(`${mark(!u.lang)}${t(locale, 'settings.langAuto')}`, 'lang:auto')]
+  ]);
+}
+
+/* ------------------------------------------------------------------ */
+/*  RENDERING HELPERS                                                  */
+/* ------------------------------------------------------------------ */
+
+function renderSongLine(s) {
+  const title = s.name || 'Unknown';
+  const artist =
+    s.artists?.primary?.map((a) => a.name).join(', ') ||
+    s.primaryArtists ||
+    'Unknown';
+  const dur = secondsToTime(s.duration);
+  return `🎵 ${escapeMd(title)} • ${escapeMd(artist)} • ${dur}`;
+}
+
+function renderAlbumLine(a, locale = DEFAULT_LOCALE) {
+  const title = a.name || a.title || 'Unknown';
+  const artist = a.primaryArtists || a.artist || '';
+  const count = a.songCount || a.numberOfSongs || a.songs?.length || '?';
+  return `📀 ${escapeMd(title)} • ${escapeMd(artist)} • ${tmd(locale, 'count.songs', { count })}`;
+}
+
+function renderPlaylistLine(p, locale = DEFAULT_LOCALE) {
+  const title = p.name || p.title || 'Unknown';
+  const subtitle = p.subtitle || p.artist || '';
+  const count = p.songCount || p.numberOfSongs || p.songs?.length || '?';
+  return `📂 ${escapeMd(title)} • ${escapeMd(subtitle)} • ${tmd(locale, 'count.songs', { count })}`;
+}
+
+function renderArtistLine(a) {
+  const name = a.name || 'Unknown';
+  const role = a.role || 'Artist';
+  return `👤 ${escapeMd(name)} • ${escapeMd(role)}`;
+}
+
+function buildPaginationKeyboard(kind, query, page, totalPages, locale = DEFAULT_LOCALE) {
+  const buttons = [];
+  const prefix = `page:${kind}|`;
+  const base = `${prefix}${queryToken(query, prefix, `|${totalPages}`)}|`;
+
+  if (page > 0) {
+    buttons.push(Markup.button.callback(t(locale, 'page.prev'), base + (page - 1)));
+  }
+  if (page < totalPages - 1) {
+    buttons.push(Markup.button.callback(t(locale, 'page.next'), base + (page + 1)));
+  }
+
+  const middle = Markup.button.callback(
+    t(locale, 'page.label', { page: page + 1, total: totalPages }),
+    'noop'
+  );
+
+  if (buttons.length === 2) {
+    return Markup.inlineKeyboard([buttons, [middle]]);
+  }
+  if (buttons.length === 1) {
+    return Markup.inlineKeyboard([[...buttons, middle]]);
+  }
+  return Markup.inlineKeyboard([[middle]]);
+}
+
+/* ------------------------------------------------------------------ */
+/*  SONG DETAIL + DOWNLOAD                                            */
+/* ------------------------------------------------------------------ */
+
+export function chooseDownloadUrl(song, qualityPreference = '320') {
+  const arr = song.downloadUrl || song.download_urls || [];
+  if (!Array.isArray(arr) || !arr.length) return null;
+
+  const byQuality = (q) =>
+    arr.find((d) => d.quality?.startsWith(q) || d.quality === `${q}kbps`);
+
+  const preferred = byQuality(qualityPreference);
+  if (preferred) return preferred.url;
+
+  // fallback order
+  return (
+    byQuality('320')?.url ||
+    byQuality('160')?.url ||
+    byQuality('96')?.url ||
+    arr[arr.length - 1].url
+  );
+}
+
+// /api/songs answers with an array, a {results} wrapper or the song itself
+export function pickSong(data) {
+  return Array.isArray(data) ? data[0] : data.results?.[0] || data;
+}
+
+async function showSongDetail(ctx, id) {
+  const song = pickSong(await Saavn.songById(id));
+
+  if (!song) {
+    return ctx.reply(ctx.t('song.notFound'));
+  }
+
+  addHistory(ctx, 'song', { id: song.id, name: song.name });
+
+  const title = song.name || 'Unknown';
+  const artist =
+    song.artists?.primary?.map((a) => a.name).join(', ') ||
+    song.primaryArtists ||
+    'Unknown';
+  const albumName = song.album?.name || song.album || '';
+  const year = song.year || '';
+  const lang = song.language || '';
+  const dur = secondsToTime(song.duration);
+  const cover =
+    song.image?.find((i) => i.quality === '500x500')?.url ||
+    song.image?.[song.image.length - 1]?.url;
+
+  const caption =
+    `🎵 *${escapeMd(title)}*\n` +
+    `👤 ${escapeMd(artist)}\n` +
+    (albumName ? `💿 ${escapeMd(albumName)}\n` : '') +
+    `⏱ ${dur}` +
+    (year ? ` • 🗓 ${year}` : '') +
+    (lang ? ` • 🌐 ${escapeMd(lang)}` : '') +
+    `\n\n${ctx.tmd('song.hint')}`;
+
+  const kb = songDetailKeyboard(getUser(ctx), song.id, userLocale(ctx), isGroupChat(ctx));
+
+  if (cover) {
+    await ctx.replyWithPhoto(
+      { url: cover },
+      {
+        caption,
+        parse_mode: 'MarkdownV2',
+        ...kb
+      }
+    );
+  } else {
+    await ctx.reply(caption, { parse_mode: 'MarkdownV2', ...kb });
+  }
+}
+
+function songDetailKeyboard(u, songId, locale, inGroup = false) {
+  const fav = isFavorite(u, songId);
+  const rows = [
+    [
+      Markup.button.callback(t(locale, 'btn.download'), `dl:${songId}`),
+      Markup.button.callback(t(locale, 'btn.lyrics'), `lyr:${songId}`),
+      Markup.button.callback(t(locale, 'btn.similar'), `similar:${songId}`)
+    ],
+    [
+      Markup.button.callback(t(locale, fav ? 'btn.unfavorite' : 'btn.favorite'), `fav:${songId}`),
+      Markup.button.callback(t(locale, 'btn.addToPlaylist'), `upladd:${songId}`)
+    ]
+  ];
+  if (inGroup) rows.push([Markup.button.callback(t(locale, 'btn.queue'), `gq:${songId}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+async function handleDownloadSong(ctx, id) {
+  const quality = chatQuality(ctx, getUser(ctx));
+  const song = pickSong(await Saavn.songById(id));
+
+  if (!song) {
+    await ctx.answerCbQuery(ctx.t('song.notFound'), { show_alert: true });
+    return;
+  }
+
+  const url = chooseDownloadUrl(song, quality);
+  if (!url) {
+    await ctx.answerCbQuery(ctx.t('download.missing'), { show_alert: true });
+    return;
+  }
+
+  const loader = await ctx.reply(ctx.t('download.fetching'));
+
+  try {
+    await sendSongAudio(ctx.chat.id, song, quality, { locale: userLocale(ctx) });
+    await ctx.deleteMessage(loader.message_id).catch(() => {});
+  } catch (e) {
+    await ctx.deleteMessage(loader.message_id).catch(() => {});
+    await ctx.reply(ctx.t('download.failed'));
+    metrics.downloads.inc({ quality, result: 'failure' });
+    log.error('Download send error', { songId: id, err: e });
+  }
+}
+
+// bulk uploads carry "track 3 of 12" tags, so the same song from another
+// album or playlist is a different file
+function fileIdKey(songId, quality, trackNo, trackTotal) {
+  return trackNo ? `${songId}:${quality}:${trackNo}/${trackTotal || ''}` : `${songId}:${quality}`;
+}
+
+// shared by single downloads and bulk jobs, throws when nothing was sent
+async function sendSongAudio(chatId, song, quality, { locale = DEFAULT_LOCALE, trackNo, trackTotal } = {}) {
+  const url = chooseDownloadUrl(song, quality);
+  if (!url) throw new Error('Download link missing');
+
+  const title = song.name || 'Unknown';
+  const artist = songArtist(song);
+  const extra = {
+    title,
+    performer: artist,
+    caption: tmd(locale, 'download.caption', { title, artist }),
+    parse_mode: 'MarkdownV2'
+  };
+
+  // Telegram already has this exact file: resend by id, no upload at all
+  const cacheKey = fileIdKey(song.id, quality, trackNo, trackTotal);
+  const fileId = fileIdCache.get(cacheKey);
+  if (fileId) {
+    try {
+      const msg = await bot.telegram.sendAudio(chatId, fileId, extra);
+      globalStats.fileIdHits += 1;
+      recordDownload(chatId, song, quality, 'file_id');
+      return msg;
+    } catch (e) {
+      if (e.parameters?.retry_after) throw e; // flood, the id is fine
+      log.warn('Cached file_id rejected, re-uploading', { cacheKey, err: e });
+      fileIdCache.delete(cacheKey);
+    }
+  }
+
+  // tagged upload when we can, plain CDN url when anything goes wrong
+  let audio = { url };
+  try {
+    const file = await prepareAudioFile(song, url, { trackNo, trackTotal });
+    audio = { source: file.data, filename: file.filename };
+    if (file.thumb) extra.thumbnail = { source: file.thumb };
+  } catch (e) {
+    log.warn('Tagging failed, sending CDN url', { songId: song.id, err: e });
+  }
+
+  const msg = await bot.telegram.sendAudio(chatId, audio, extra);
+
+  if (msg.audio?.file_id) rememberFileId(cacheKey, msg.audio.file_id);
+  globalStats.fileIdMisses += 1;
+  recordDownload(chatId, song, quality, audio.source ? 'upload' : 'url');
+  return msg;
+}
+
+function rememberFileId(key, fileId) {
+  fileIdCache.delete(key);
+  fileIdCache.set(key, fileId);
+  while (fileIdCache.size > FILE_ID_CACHE_MAX) {
+    fileIdCache.delete(fileIdCache.keys().next().value);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  LYRICS                                                             */
+/* ------------------------------------------------------------------ */
+
+// hits are cached with the other /api/songs responses, misses get their
+// own shorter entry so a song without lyrics doesn't cost a call per tap
+
+const LYRICS_MISS_TTL = 6 * 60 * MINUTE;
+const LYRICS_CHUNK_CHARS = 3500; // Telegram caps a message at 4096
+const LYRICS_MAX_MESSAGES = 3; // longer than that goes to the web page
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#039': "'", nbsp: ' ' };
+
+function escapeHtml(text = '') {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// the API sends HTML-ish text with <br> line breaks
+function normalizeLyrics(data) {
+  const raw = data?.lyrics;
+  if (!raw || typeof raw !== 'string') return null;
+  const text = raw
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#?\w+);/g, (m, name) => HTML_ENTITIES[name] ?? m)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return text ? { text, copyright: data.copyright || null } : null;
+}
+
+async function getLyrics(id) {
+  const missKey = `lyrics-miss:${id}`;
+  if (cacheGet(missKey) !== undefined) return null;
+
+  let lyrics = null;
+  try {
+    lyrics = normalizeLyrics(await Saavn.songLyrics(id));
+  } catch (e) {
+    if (!(e instanceof SaavnNotFoundError)) throw e;
+  }
+  if (!lyrics) cacheSet(missKey, true, LYRICS_MISS_TTL);
+  return lyrics;
+}
+
+// split on line breaks so no verse is cut in half
+function splitLyrics(text, max = LYRICS_CHUNK_CHARS) {
+  const chunks = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    if (current && current.length + line.length + 1 > max) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line.slice(0, max);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function lyricsPageUrl(id) {
+  return PUBLIC_URL ? new URL(`/lyrics/${encodeURIComponent(id)}`, PUBLIC_URL).toString() : null;
+}
+
+async function showLyrics(ctx, id) {
+  const [data, lyrics] = await Promise.all([Saavn.songById(id), getLyrics(id)]);
+  if (!lyrics) return ctx.reply(ctx.t('lyrics.none'));
+
+  const song = pickSong(data) || {};
+  const head = ctx.t('lyrics.title', { title: song.name || 'Unknown', artist: songArtist(song) });
+  const footer = lyrics.copyright ? `\n\n${lyrics.copyright}` : '';
+  const chunks = splitLyrics(lyrics.text);
+
+  // plain text on purpose, lyrics are full of MarkdownV2 specials
+  const pageUrl = lyricsPageUrl(id);
+  if (chunks.length > LYRICS_MAX_MESSAGES && pageUrl) {
+    return ctx.reply(
+      `${head}\n\n${chunks[0]}\n\n${ctx.t('lyrics.more')}`,
+      Markup.inlineKeyboard([[Markup.button.url(ctx.t('btn.fullLyrics'), pageUrl)]])
+    );
+  }
+  for (const [i, chunk] of chunks.entries()) {
+    const first = i === 0 ? `${head}\n\n` : '';
+    const last = i === chunks.length - 1 ? footer : '';
+    await ctx.reply(`${first}${chunk}${last}`);
+  }
+}
+
+export function mountLyricsPage(app) {
+  app.get('/lyrics/:id', async (req, res) => {
+    // anyone with a link can open pages, and every new id is an API call
+    const verdict = takeToken(`ip:${req.ip}`, 'lyricsPage');
+    if (!verdict.ok) {
+      res.set('retry-after', String(verdict.retryAfter));
+      return res.status(429).send('Too many lyrics pages, try again in a minute.');
+    }
+    try {
+      const [data, lyrics] = await Promise.all([
+        Saavn.songById(req.params.id).catch(() => null),
+        getLyrics(req.params.id)
+      ]);
+      if (!lyrics) return res.status(404).send('No lyrics for this song.');
+      const song = (data && pickSong(data)) || {};
+      const title = `${song.name || 'Lyrics'} – ${songArtist(song)}`;
+      res.send(`<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 17px/1.6 Georgia, serif; max-width: 640px; margin: 32px auto; padding: 0 16px; color: #222; }
+  h1 { font: 600 22px system-ui, sans-serif; }
+  pre { font: inherit; white-space: pre-wrap; }
+  small { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<pre>${escapeHtml(lyrics.text)}</pre>
+${lyrics.copyright ? `<small>${escapeHtml(lyrics.copyright)}</small>` : ''}
+</body>
+</html>`);
+    } catch (e) {
+      log.error('Lyrics page error', { songId: req.params.id, err: e });
+      res.sendStatus(502);
+    }
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  AUDIO FILES + TAGGING                                              */
+/* ------------------------------------------------------------------ */
+
+// the CDN files carry few or no tags, so we rewrite them before upload:
+// ID3v2.3 for mp3, an iTunes style ilst for mp4/m4a
+
+const MAX_UPLOAD_BYTES = 49 * 1024 * 1024;
+
+// TLAN wants ISO-639-2, JioSaavn gives us plain names
+const LANGUAGE_CODES = {
+  hindi: 'hin',
+  english: 'eng',
+  punjabi: 'pan',
+  tamil: 'tam',
+  telugu: 'tel',
+  bengali: 'ben',
+  marathi: 'mar',
+  gujarati: 'guj',
+  kannada: 'kan',
+  malayalam: 'mal',
+  urdu: 'urd',
+  bhojpuri: 'bho',
+  haryanvi: 'bgc',
+  rajasthani: 'raj',
+  odia: 'ori',
+  assamese: 'asm'
+};
+
+function safeFileName(text = '') {
+  return text.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim().slice(0, 100) || 'Untitled';
+}
+
+function songArtist(song) {
+  return (
+    song.artists?.primary?.map((a) => a.name).join(', ') ||
+    song.primaryArtists ||
+    'Unknown'
+  );
+}
+
+function songFileName(song, ext) {
+  return `${safeFileName(`${songArtist(song)} - ${song.name || 'Unknown'}`)}.${ext}`;
+}
+
+const AUDIO_TIMEOUT_MS = 2 * 60 * 1000;
+
+async function fetchBinary(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), AUDIO_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`CDN error ${res.status} for ${url}`);
+    return Buffer.from(await res.arrayBuffer());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function imageUrl(item, quality) {
+  return (
+    item.image?.find((i) => i.quality === quality)?.url ||
+    item.image?.[item.image.length - 1]?.url
+  );
+}
+
+function songTags(song, { trackNo, trackTotal } = {}) {
+  return {
+    title: song.name || 'Unknown',
+    artist: songArtist(song),
+    album: song.album?.name || (typeof song.album === 'string' ? song.album : ''),
+    year: song.year ? String(song.year) : '',
+    language: song.language || '',
+    trackNo,
+    trackTotal
+  };
+}
+
+/* ---------- ID3v2.3 (mp3) ---------- */
+
+function synchsafe(n) {
+  return Buffer.from([(n >>> 21) & 0x7f, (n >>> 14) & 0x7f, (n >>> 7) & 0x7f, n & 0x7f]);
+}
+
+function id3Frame(id, data) {
+  const head = Buffer.alloc(10);
+  head.write(id, 0, 'latin1');
+  head.writeUInt32BE(data.length, 4);
+  return Buffer.concat([head, data]);
+}
+
+function id3Text(id, text) {
+  // encoding 1 = UTF-16 with BOM, the only unicode option v2.3 knows
+  const body = Buffer.from(`\ufeff${text}`, 'utf16le');
+  return id3Frame(id, Buffer.concat([Buffer.from([1]), body]));
+}
+
+function stripId3(buf) {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return buf;
+  const size =
+    (buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9];
+  const footer = buf[5] & 0x10 ? 10 : 0;
+  return buf.subarray(10 + size + footer);
+}
+
+function writeId3(buf, tags, cover) {
+  const frames = [id3Text('TIT2', tags.title), id3Text('TPE1', tags.artist)];
+  if (tags.album) frames.push(id3Text('TALB', tags.album));
+  if (tags.year) frames.push(id3Text('TYER', tags.year));
+  const lang = LANGUAGE_CODES[tags.language.toLowerCase()];
+  if (lang) frames.push(id3Text('TLAN', lang));
+  if (tags.trackNo) {
+    frames.push(id3Text('TRCK', tags.trackTotal ? `${tags.trackNo}/${tags.trackTotal}` : `${tags.trackNo}`));
+  }
+  if (cover) {
+    // latin1 encoding, mime, picture type 3 (front cover), empty description
+    const head = Buffer.from('\x00image/jpeg\x00\x03\x00', 'latin1');
+    frames.push(id3Frame('APIC', Buffer.concat([head, cover])));
+  }
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.concat([Buffer.from('ID3\x03\x00\x00', 'latin1'), synchsafe(body.length)]);
+  return Buffer.concat([header, body, stripId3(buf)]);
+}
+
+/* ---------- iTunes metadata (mp4 / m4a) ---------- */
+
+// boxes we descend into when looking for chunk offset tables
+const MP4_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+
+function readBoxes(buf, start = 0, end = buf.length) {
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) throw new Error(`Broken mp4 box "${type}"`);
+    boxes.push({ type, start: pos, size, header });
+    pos += size;
+  }
+  return boxes;
+}
+
+function mp4Box(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length + 8, 0);
+  head.write(type, 4, 'latin1');
+  return Buffer.concat([head, body]);
+}
+
+// flags: 0 = implicit, 1 = utf-8, 13 = jpeg
+function mp4Data(flags, payload) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(flags, 0);
+  return mp4Box('data', head, payload);
+}
+
+function mp4Text(type, text) {
+  return mp4Box(type, mp4Data(1, Buffer.from(text, 'utf8')));
+}
+
+function mp4Freeform(name, text) {
+  const fullBox = Buffer.alloc(4);
+  return mp4Box(
+    '----',
+    mp4Box('mean', fullBox, Buffer.from('com.apple.iTunes', 'latin1')),
+    mp4Box('name', fullBox, Buffer.from(name, 'latin1')),
+    mp4Data(1, Buffer.from(text, 'utf8'))
+  );
+}
+
+function buildIlst(tags, cover) {
+  const items = [mp4Text('\xa9nam', tags.title), mp4Text('\xa9ART', tags.artist)];
+  if (tags.album) items.push(mp4Text('\xa9alb', tags.album));
+  if (tags.year) items.push(mp4Text('\xa9day', tags.year));
+  if (tags.language) items.push(mp4Freeform('LANGUAGE', tags.language));
+  if (tags.trackNo) {
+    const trkn = Buffer.alloc(8);
+    trkn.writeUInt16BE(tags.trackNo, 2);
+    trkn.writeUInt16BE(tags.trackTotal || 0, 4);
+    items.push(mp4Box('trkn', mp4Data(0, trkn)));
+  }
+  if (cover) items.push(mp4Box('covr', mp4Data(13, cover)));
+
+  const hdlr = Buffer.alloc(25);
+  hdlr.write('mdir', 8, 'latin1');
+  hdlr.write('appl', 12, 'latin1');
+  return mp4Box(
+    'udta',
+    mp4Box('meta', Buffer.alloc(4), mp4Box('hdlr', hdlr), mp4Box('ilst', ...items))
+  );
+}
+
+function shiftChunkOffsets(buf, start, end, delta) {
+  for (const b of readBoxes(buf, start, end)) {
+    const body = b.start + b.header;
+    if (MP4_CONTAINERS.has(b.type)) {
+      shiftChunkOffsets(buf, body, b.start + b.size, delta);
+    } else if (b.type === 'stco') {
+      const count = buf.readUInt32BE(body + 4);
+      for (let i = 0; i < count; i += 1) {
+        const at = body + 8 + i * 4;
+        buf.writeUInt32BE(buf.readUInt32BE(at) + delta, at);
+      }
+    } else if (b.type === 'co64') {
+      const count = buf.readUInt32BE(body + 4);
+      for (let i = 0; i < count; i += 1) {
+        const at = body + 8 + i * 8;
+        buf.writeBigUInt64BE(buf.readBigUInt64BE(at) + BigInt(delta), at);
+      }
+    }
+  }
+}
+
+function writeMp4Tags(buf, tags, cover) {
+  const top = readBoxes(buf);
+  const moov = top.find((b) => b.type === 'moov');
+  const mdat = top.find((b) => b.type === 'mdat');
+  if (!moov || !mdat || moov.header !== 8) throw new Error('Unsupported mp4 layout');
+
+  // keep every moov child except an old udta, then append ours
+  const children = readBoxes(buf, moov.start + 8, moov.start + moov.size)
+    .filter((b) => b.type !== 'udta')
+    .map((b) => Buffer.from(buf.subarray(b.start, b.start + b.size)));
+  const newMoov = mp4Box('moov', ...children, buildIlst(tags, cover));
+
+  // media data behind a resized moov moves, so its offsets must too
+  if (moov.start < mdat.start) {
+    shiftChunkOffsets(newMoov, 8, newMoov.length, newMoov.length - moov.size);
+  }
+
+  return Buffer.concat([
+    buf.subarray(0, moov.start),
+    newMoov,
+    buf.subarray(moov.start + moov.size)
+  ]);
+}
+
+function audioFormat(buf) {
+  if (buf.length > 12 && buf.toString('latin1', 4, 8) === 'ftyp') return 'm4a';
+  if (buf.toString('latin1', 0, 3) === 'ID3') return 'mp3';
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) return 'mp3';
+  return null;
+}
+
+// download, tag and name a track; `thumb` also fetches a small cover
+// for Telegram's player (max 320px / 200 KB)
+async function prepareAudioFile(song, url, { trackNo, trackTotal, thumb = true } = {}) {
+  const [data, cover, thumbnail] = await Promise.all([
+    fetchBinary(url),
+    imageUrl(song, '500x500') ? fetchBinary(imageUrl(song, '500x500')).catch(() => null) : null,
+    thumb && imageUrl(song, '150x150')
+      ? fetchBinary(imageUrl(song, '150x150')).catch(() => null)
+      : null
+  ]);
+
+  const format = audioFormat(data);
+  if (!format) throw new Error('Unknown audio format');
+
+  const tags = songTags(song, { trackNo, trackTotal });
+  const tagged = format === 'mp3' ? writeId3(data, tags, cover) : writeMp4Tags(data, tags, cover);
+  if (tagged.length > MAX_UPLOAD_BYTES) throw new Error('Track too large to upload');
+
+  return { data: tagged, filename: songFileName(song, format), thumb: thumbnail };
+}
+
+/* ------------------------------------------------------------------ */
+/*  ZIP ARCHIVES                                                       */
+/* ------------------------------------------------------------------ */
+
+// audio is already compressed, so entries are STORED (method 0) which
+// keeps this a few lines of header writing instead of a deflate dep
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date = new Date()) {
+  const time =
+    (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day =
+    ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function buildZip(entries) {
+  const { time, day } = dosDateTime();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // utf-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function buildM3u(tracks) {
+  const lines = ['#EXTM3U'];
+  for (const { name, song } of tracks) {
+    lines.push(`#EXTINF:${Number(song.duration) || -1},${songArtist(song)} - ${song.name || 'Unknown'}`);
+    lines.push(name);
+  }
+  return Buffer.from(lines.join('\n') + '\n', 'utf8');
+}
+
+/* ------------------------------------------------------------------ */
+/*  BULK DOWNLOAD QUEUE                                                */
+/* ------------------------------------------------------------------ */
+
+const PROGRESS_EDIT_MS = 3000; // Telegram throttles frequent edits
+const JOB_KEEP_MS = 30 * 60 * 1000; // finished jobs stay retryable this long
+
+const jobs = new Map(); // Map<jobId, job>
+const jobQueue = []; // jobs waiting for a free slot, FIFO
+let activeJobs = 0;
+let nextJobId = 1;
+
+function jobKeyboard(job) {
+  if (job.status === 'queued' || job.status === 'running') {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(t(job.locale, 'btn.cancel'), `jobcancel:${job.id}`)]
+    ]);
+  }
+  if (job.failed.length) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback(
+          t(job.locale, 'btn.retrySkipped', { count: job.failed.length }),
+          `jobretry:${job.id}`
+        )
+      ]
+    ]);
+  }
+  return Markup.inlineKeyboard([]);
+}
+
+function jobProgressText(job) {
+  const l = job.locale;
+  const total = job.songs.length;
+  const progress = t(l, job.format === 'zip' ? 'job.progress.packed' : 'job.progress.sent', {
+    done: job.sent + job.packing,
+    total
+  });
+  const skipped = job.failed.length ? t(l, 'job.skipped', { count: job.failed.length }) : '';
+  const capped = job.capped ? t(l, 'job.capped', { max: MAX_BULK_SONGS, count: job.capped }) : '';
+
+  if (job.status === 'queued') {
+    return `${t(l, 'job.queued', { title: job.title, total })}${capped}`;
+  }
+  if (job.status === 'running') {
+    return `⬇️ ${job.title}\n${progress}${skipped}${capped}`;
+  }
+
+  const head = t(l, job.status === 'cancelled' ? 'job.cancelled' : 'job.done', {
+    title: job.title
+  });
+  const lines = job.failed
+    .slice(0, 15)
+    .map((f) => `• ${f.name || f.id}`);
+  if (job.failed.length > 15) lines.push(t(l, 'job.more', { count: job.failed.length - 15 }));
+
+  return (
+    `${head}\n${progress}${skipped}` +
+    (lines.length ? `\n\n${t(l, 'job.skippedList')}\n${lines.join('\n')}` : '')
+  );
+}
+
+async function updateJobMessage(job, force = false) {
+  if (!force && Date.now() - job.lastEdit < PROGRESS_EDIT_MS) return;
+  job.lastEdit = Date.now();
+  await bot.telegram
+    .editMessageText(job.chatId, job.progressMsgId, undefined, jobProgressText(job), jobKeyboard(job))
+    .catch(() => {}); // "message is not modified" and friends
+}
+
+// `total` is the full size when `songs` was already cut down to MAX_BULK_SONGS
+async function enqueueBulkDownload(ctx, title, songs, { format = 'audio', total = 0 } = {}) {
+  const u = getUser(ctx);
+  const list = songs.filter((s) => s?.id);
+  if (!list.length) return ctx.reply(ctx.t('bulk.none'));
+  if (!(await canBulkDownload(ctx))) return ctx.reply(ctx.t('group.bulkDenied'));
+  if (jobQueue.filter((j) => j.userId === ctx.from.id).length >= MAX_QUEUED_JOBS) {
+    return ctx.reply(ctx.t('bulk.tooMany', { count: MAX_QUEUED_JOBS }));
+  }
+
+  const job = {
+    id: nextJobId++,
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    title,
+    format,
+    quality: chatQuality(ctx, u),
+    locale: userLocale(ctx), // progress edits happen outside any update
+    songs: list.slice(0, MAX_BULK_SONGS),
+    capped: Math.max(list.length, total) > MAX_BULK_SONGS ? Math.max(list.length, total) : 0,
+    sent: 0,
+    packing: 0, // zip jobs: songs in the part not uploaded yet
+    failed: [],
+    status: 'queued',
+    cancelled: false,
+    progressMsgId: null,
+    lastEdit: 0
+  };
+  jobs.set(job.id, job);
+
+  const msg = await ctx.reply(jobProgressText(job), jobKeyboard(job));
+  job.progressMsgId = msg.message_id;
+
+  jobQueue.push(job);
+  pumpJobs();
+  return job;
+}
+
+function pumpJobs() {
+  while (activeJobs < MAX_ACTIVE_JOBS) {
+    // one running job per user, so a huge playlist can't starve others
+    const busy = new Set(
+      [...jobs.values()].filter((j) => j.status === 'running').map((j) => j.userId)
+    );
+    const idx = jobQueue.findIndex((j) => !busy.has(j.userId));
+    if (idx === -1) return;
+
+    const [job] = jobQueue.splice(idx, 1);
+    activeJobs += 1;
+    runJob(job)
+      .catch((e) => log.error('Bulk job error', { jobId: job.id, err: e }))
+      .finally(() => {
+        activeJobs -= 1;
+        setTimeout(() => jobs.delete(job.id), JOB_KEEP_MS).unref();
+        pumpJobs();
+      });
+  }
+}
+
+async function resolveJobSong(item) {
+  const song = item.downloadUrl ? item : pickSong(await Saavn.songById(item.id));
+  if (!song) throw new Error('Song not found');
+  return song;
+}
+
+// flood control: wait what Telegram asks for, then one more go
+async function withFloodRetry(send) {
+  try {
+    return await send();
+  } catch (e) {
+    const wait = e.parameters?.retry_after;
+    if (!wait) throw e;
+    await sleep(wait * 1000);
+    return send();
+  }
+}
+
+async function sendJobSongs(job) {
+  const trackTotal = job.songs.length;
+  for (const [i, item] of job.songs.entries()) {
+    if (job.cancelled) break;
+    try {
+      const song = await resolveJobSong(item);
+      await withFloodRetry(() =>
+        sendSongAudio(job.chatId, song, job.quality, { locale: job.locale, trackNo: i + 1, trackTotal })
+      );
+      job.sent += 1;
+    } catch (e) {
+      job.failed.push({ id: item.id, name: item.name, reason: e.message });
+      metrics.downloads.inc({ quality: job.quality, result: 'failure' });
+    }
+    await updateJobMessage(job);
+  }
+}
+
+async function packJobZip(job) {
+  const width = Math.max(2, String(job.songs.length).length);
+  let part = [];
+  let partBytes = 0;
+  let partNo = 0;
+
+  // songs count as sent once Telegram has their part; a part that
+  // doesn't arrive moves all of its songs to job.failed
+  const flush = async (last = false) => {
+    const items = part;
+    part = [];
+    partBytes = 0;
+    job.packing = 0;
+    partNo += 1;
+    const zip = buildZip([
+      ...items.map(({ name, data }) => ({ name, data })),
+      { name: `${safeFileName(job.title)}.m3u`, data: buildM3u(items) }
+    ]);
+    const filename =
+      `${safeFileName(job.title)}` +
+      (last && partNo === 1 ? '' : ` (part ${partNo})`) +
+      '.zip';
+    try {
+      await withFloodRetry(() =>
+        bot.telegram.sendDocument(
+          job.chatId,
+          { source: zip, filename },
+          {
+            caption: t(job.locale, 'zip.caption', {
+              title: job.title,
+              part: partNo,
+              count: items.length
+            })
+          }
+        )
+      );
+    } catch (e) {
+      log.warn('Zip part upload failed', { jobId: job.id, part: partNo, err: e });
+      for (const { item } of items) {
+        job.failed.push({ id: item.id, name: item.name, reason: e.message });
+        metrics.downloads.inc({ quality: job.quality, result: 'failure' });
+      }
+      return;
+    }
+    for (const { song } of items) {
+      job.sent += 1;
+      recordDownload(job.chatId, song, job.quality, 'zip');
+    }
+  };
+
+  for (const [i, item] of job.songs.entries()) {
+    if (job.cancelled) break;
+    try {
+      const song = await resolveJobSong(item);
+      const url = chooseDownloadUrl(song, job.quality);
+      if (!url) throw new Error('Download link missing');
+      const { data, filename } = await prepareAudioFile(song, url, {
+        trackNo: i + 1,
+        trackTotal: job.songs.length,
+        thumb: false
+      });
+      if (data.length > ZIP_PART_BYTES) throw new Error('Track too large for a zip part');
+
+      if (part.length && partBytes + data.length > ZIP_PART_BYTES) await flush();
+      const number = String(i + 1).padStart(width, '0');
+      part.push({ name: `${number} - ${filename}`, data, song, item });
+      partBytes += data.length;
+      job.packing = part.length;
+    } catch (e) {
+      job.failed.push({ id: item.id, name: item.name, reason: e.message });
+      metrics.downloads.inc({ quality: job.quality, result: 'failure' });
+    }
+    await updateJobMessage(job);
+  }
+
+  // on cancel too: what is packed already goes out
+  if (part.length) await flush(true);
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  await updateJobMessage(job, true);
+
+  try {
+    if (job.format === 'zip') {
+      await packJobZip(job);
+    } else {
+      await sendJobSongs(job);
+    }
+  } finally {
+    // never leave a Cancel button on a job nothing is working on
+    job.status = job.cancelled ? 'cancelled' : 'done';
+    await updateJobMessage(job, true);
+  }
+}
+
+function cancelJob(job) {
+  job.cancelled = true;
+  const idx = jobQueue.indexOf(job);
+  if (idx !== -1) {
+    jobQueue.splice(idx, 1);
+    job.status = 'cancelled';
+    setTimeout(() => jobs.delete(job.id), JOB_KEEP_MS).unref();
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  SEARCH HANDLERS                                                    */
+/* ------------------------------------------------------------------ */
+
+// queries may carry filters (see src/query.js). Language goes to the API
+// as a param and artist / album join the search text; since the API
+// can't do the rest, a filtered search scans one big page and filters
+// it here, paging through what is left.
+
+const SEARCH_PAGE_SIZE = 10;
+const FILTER_SCAN_LIMIT = 50;
+
+const SEARCHES = {
+  song: Saavn.searchSongs,
+  album: Saavn.searchAlbums,
+  playlist: Saavn.searchPlaylists,
+  artist: Saavn.searchArtists
+};
+
+// filters that mean something for each kind of result
+const TYPE_FILTERS = {
+  song: ['lang', 'year', 'artist', 'album', 'duration'],
+  album: ['lang', 'year', 'artist'],
+  playlist: ['lang'],
+  artist: []
+};
+
+function activeFilters(type, filters) {
+  return Object.fromEntries(TYPE_FILTERS[type].filter((k) => filters[k]).map((k) => [k, filters[k]]));
+}
+
+function inRange(value, from, to) {
+  if (!value) return false;
+  return (from === null || value >= from) && (to === null || value <= to);
+}
+
+function matchesFilters(item, filters) {
+  const has = (haystack, needle) => normalizeTitle(haystack).includes(normalizeTitle(needle));
+  if (filters.lang && String(item.language || '').toLowerCase() !== filters.lang) return false;
+  if (filters.year && !inRange(Number(item.year), filters.year.from, filters.year.to)) return false;
+  if (filters.artist && !has(songArtist(item), filters.artist)) return false;
+  if (filters.album && !has(item.album?.name || item.album || '', filters.album)) return false;
+  if (filters.duration && !inRange(Number(item.duration), filters.duration.min, filters.duration.max)) {
+    return false;
+  }
+  return true;
+}
+
+// -> {results, total} for one page, filtered or straight from the API
+async function runSearch(type, text, filters, page) {
+  if (!Object.keys(filters).length) {
+    const res = await SEARCHES[type](text, page, SEARCH_PAGE_SIZE);
+    return {
+      results: res.results || [],
+      total: res.total || res.count || res.results?.length || 0
+    };
+  }
+  const apiText = [text, filters.artist, filters.album].filter(Boolean).join(' ') || filters.lang;
+  const params = filters.lang ? { language: filters.lang } : {};
+  const res = await SEARCHES[type](apiText, 0, FILTER_SCAN_LIMIT, params).catch((e) => {
+    if (e instanceof SaavnNotFoundError) return {};
+    throw e;
+  });
+  const matching = (res.results || []).filter((item) => matchesFilters(item, filters));
+  const offset = page * SEARCH_PAGE_SIZE;
+  return { results: matching.slice(offset, offset + SEARCH_PAGE_SIZE), total: matching.length };
+}
+
+/* ---------- long queries in callback data ---------- */
+
+// Telegram caps callback data at 64 bytes. Queries that don't fit are
+// remembered here under a short hash; "#" never appears in an
+// encodeURIComponent result, so it marks the hashed form.
+const MAX_CALLBACK_BYTES = 64;
+const MAX_QUERY_REFS = 5000;
+const queryRefs = new Map(); // Map<ref, query>, oldest first
+
+function queryToken(query, prefix, suffix = '') {
+  const encoded = encodeURIComponent(query);
+  if (Buffer.byteLength(prefix + encoded + suffix) <= MAX_CALLBACK_BYTES) return encoded;
+  const ref = `#${crypto.createHash('sha1').update(query).digest('base64url').slice(0, 12)}`;
+  queryRefs.delete(ref);
+  queryRefs.set(ref, query);
+  if (queryRefs.size > MAX_QUERY_REFS) queryRefs.delete(queryRefs.keys().next().value);
+  return ref;
+}
+
+// null once a hashed query has been forgotten (restart, eviction)
+function queryFromToken(token) {
+  return token.startsWith('#') ? queryRefs.get(token) ?? null : decodeURIComponent(token);
+}
+
+function filtersButton(locale, type, query) {
+  const prefix = `sfilt:${type}|`;
+  return Markup.button.callback(t(locale, 'btn.filters'), prefix + queryToken(query, prefix));
+}
+
+function resultLine(type, item, locale) {
+  if (type === 'song') return renderSongLine(item);
+  if (type === 'album') return renderAlbumLine(item, locale);
+  if (type === 'playlist') return renderPlaylistLine(item, locale);
+  return renderArtistLine(item);
+}
+
+const RESULT_ICONS = { song: '▶', album: '📀', playlist: '📂', artist: '👤' };
+
+function resultButton(type, item) {
+  return Markup.button.callback(`${RESULT_ICONS[type]} ${item.name.slice(0, 16)}`, `${type}:${item.id}`);
+}
+
+async function performSearch(ctx, type, query, page = 0) {
+  if (!SEARCHES[type]) return;
+  const parsed = parseSearchQuery(query || '');
+  const filters = activeFilters(type, parsed.filters);
+  if (!parsed.text && !Object.keys(filters).length) {
+    return ctx.reply(ctx.t('search.empty'));
+  }
+  // what the buttons carry: filters that don't apply to this type are gone
+  const canonical = formatSearchQuery({ text: parsed.text, filters });
+  const locale = userLocale(ctx);
+
+  const { results, total } = await runSearch(type, parsed.text, filters, page);
+  if (page === 0) recordSearch(canonical);
+
+  const filterText = formatFilters(filters);
+  if (!results.length) {
+    if (!filterText) return ctx.reply(ctx.t('search.none'));
+    return ctx.reply(
+      ctx.t('search.noneFiltered', { filters: filterText }),
+      Markup.inlineKeyboard([[filtersButton(locale, type, canonical)]])
+    );
+  }
+
+  const limit = SEARCH_PAGE_SIZE;
+  const offset = page * limit;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  const lines = results.map((item, i) => `${offset + i + 1}\\. ${resultLine(type, item, locale)}`);
+
+  const header = [tmd(locale, `search.header.${type}`, { query: parsed.text || filterText })];
+  if (filterText) header.push(tmd(locale, 'search.filters', { filters: filterText }));
+  header.push(tmd(locale, 'page.label', { page: page + 1, total: totalPages }));
+  const msg = `${header.join('\n')}\n\n${lines.join('\n')}`;
+
+  // click actions
+  const rowButtons = results.map((item) => resultButton(type, item));
+
+  const rows = [];
+  for (let i = 0; i < rowButtons.length; i += 2) {
+    rows.push(rowButtons.slice(i, i + 2));
+  }
+
+  const pagination = buildPaginationKeyboard(type, canonical, page, totalPages, locale);
+  rows.push(...pagination.reply_markup.inline_keyboard);
+  if (TYPE_FILTERS[type].length) rows.push([filtersButton(locale, type, canonical)]);
+  const inline = Markup.inlineKeyboard(rows);
+
+  const u = getUser(ctx);
+  u.lastResults = results;
+  u.query = canonical;
+  u.page = page;
+  u.mode = 'search';
+  u.searchType = type;
+
+  await ctx.reply(msg, { parse_mode: 'MarkdownV2', ...inline });
+}
+
+/* ---------- every kind at once ---------- */
+
+// plain text without a search type picked: the top hits of each kind,
+// searched in parallel, each list with a button into its full
+// paginated performSearch view
+const ALL_SEARCH_TOP = { song: 5, album: 3, playlist: 3, artist: 3 };
+
+async function performAllSearch(ctx, query) {
+  const parsed = parseSearchQuery(query || '');
+  if (!parsed.text && !Object.keys(parsed.filters).length) {
+    return ctx.reply(ctx.t('search.empty'));
+  }
+  const canonical = formatSearchQuery(parsed);
+  const locale = userLocale(ctx);
+
+  const types = Object.keys(ALL_SEARCH_TOP);
+  // "lang:punjabi" alone says nothing about which artists to show
+  const searched = types.filter(
+    (type) => parsed.text || Object.keys(activeFilters(type, parsed.filters)).length
+  );
+  // the message paid for one search, every other kind costs one more
+  if (searched.length > 1 && !(await spendTokens(ctx, 'search', searched.length - 1))) return;
+
+  const settled = await Promise.allSettled(
+    types.map((type) => {
+      if (!searched.includes(type)) return { results: [], total: 0 };
+      return runSearch(type, parsed.text, activeFilters(type, parsed.filters), 0);
+    })
+  );
+  // one kind failing shouldn't hide the others, all of them failing should
+  const failures = settled.filter((r) => r.status === 'rejected' && !(r.reason instanceof SaavnNotFoundError));
+  if (failures.length === types.length) throw failures[0].reason;
+  recordSearch(canonical);
+
+  const sections = [];
+  const rows = [];
+  types.forEach((type, i) => {
+    if (failures.includes(settled[i])) log.warn('Search section failed', { type, err: settled[i].reason });
+    const found = settled[i].status === 'fulfilled' ? settled[i].value : { results: [], total: 0 };
+    const top = found.results.slice(0, ALL_SEARCH_TOP[type]);
+    if (!top.length) return;
+    sections.push(
+      `*${tmd(locale, `search.section.${type}`)}*\n` +
+        top.map((item) => resultLine(type, item, locale)).join('\n')
+    );
+    const buttons = top.map((item) => resultButton(type, item));
+    for (let j = 0; j < buttons.length; j += 2) {
+      rows.push(buttons.slice(j, j + 2));
+    }
+    if (found.total > top.length) {
+      const prefix = `page:${type}|`;
+      rows.push([
+        Markup.button.callback(t(locale, `btn.more.${type}`), `${prefix}${queryToken(canonical, prefix, '|0')}|0`)
+      ]);
+    }
+  });
+  if (!sections.length) return ctx.reply(ctx.t('search.none'));
+
+  const filterText = formatFilters(parsed.filters);
+  const header = [tmd(locale, 'search.header.all', { query: parsed.text || filterText })];
+  if (filterText) header.push(tmd(locale, 'search.filters', { filters: filterText }));
+
+  const u = getUser(ctx);
+  u.query = canonical;
+  u.mode = 'search';
+
+  await ctx.reply(`${header.join('\n')}\n\n${sections.join('\n\n')}`, {
+    parse_mode: 'MarkdownV2',
+    ...Markup.inlineKeyboard(rows)
+  });
+}
+
+/* ---------- filter editor ---------- */
+
+// one-tap choices; values are query syntax, parsed like typed filters
+const FILTER_PRESETS = {
+  lang: [
+    ['hindi', 'Hindi'],
+    ['punjabi', 'Punjabi'],
+    ['english', 'English'],
+    ['tamil', 'Tamil'],
+    ['telugu', 'Telugu']
+  ],
+  year: [
+    ['2020-', '2020+'],
+    ['2010-2019', '2010s'],
+    ['2000-2009', '2000s'],
+    ['-1999', '< 2000']
+  ],
+  duration: [
+    ['-3m', '< 3 min'],
+    ['3m-5m', '3–5 min'],
+    ['5m-', '> 5 min']
+  ]
+};
+const FILTER_ICONS = { lang: '🌐', year: '📅', duration: '⏱', artist: '👤', album: '📀' };
+
+function filterEditorText(locale, draft) {
+  const filterText = formatFilters(draft.filters);
+  return (
+    `${tmd(locale, 'filter.title', { query: draft.text || '…' })}\n\n` +
+    `${filterText ? escapeMd(filterText) : `_${tmd(locale, 'filter.none')}_`}\n\n` +
+    `_${tmd(locale, 'filter.tip')}_`
+  );
+}
+
+function filterEditorKeyboard(locale, draft) {
+  const mark = (on) => (on ? '✅ ' : '');
+  const keys = TYPE_FILTERS[draft.type];
+  const rows = [];
+  for (const key of ['lang', 'year', 'duration'].filter((k) => keys.includes(k))) {
+    const current = draft.filters[key] && formatFilters({ [key]: draft.filters[key] });
+    const options = FILTER_PRESETS[key].map(([value, label]) => {
+      const on = current === formatFilters(parseSearchQuery(`${key}:${value}`).filters);
+      return Markup.button.callback(`${mark(on)}${label}`, `sf:${key}|${value}`);
+    });
+    rows.push([
+      Markup.button.callback(`${mark(!current)}${FILTER_ICONS[key]} ${t(locale, 'filter.any')}`, `sf:${key}|`),
+      ...options
+    ]);
+  }
+  const typed = ['artist', 'album']
+    .filter((k) => keys.includes(k))
+    .map((k) =>
+      draft.filters[k]
+        ? Markup.button.callback(`✖️ ${FILTER_ICONS[k]} ${draft.filters[k].slice(0, 20)}`, `sf:${k}|`)
+        : Markup.button.callback(`✏️ ${t(locale, `filter.${k}`)}`, `sfask:${k}`)
+    );
+  if (typed.length) rows.push(typed);
+  rows.push([
+    Markup.button.callback(t(locale, 'btn.clearFilters'), 'sfclear'),
+    Markup.button.callback(t(locale, 'btn.showResults'), 'sfgo')
+  ]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// the draft lives on the user until "Show results" runs it
+function showFilterEditor(ctx) {
+  const draft = getUser(ctx).searchDraft;
+  if (!draft) return replyOrEdit(ctx, ctx.t('filter.expired'));
+  const locale = userLocale(ctx);
+  return replyOrEdit(ctx, filterEditorText(locale, draft), {
+    parse_mode: 'MarkdownV2',
+    ...filterEditorKeyboard(locale, draft)
+  });
+}
+
+// an empty value clears the filter, one that doesn't parse changes nothing
+function setDraftFilter(draft, key, value) {
+  if (!value) {
+    delete draft.filters[key];
+    return;
+  }
+  const parsed = parseSearchQuery(`${key}:"${value.replace(/"/g, '')}"`).filters[key];
+  if (parsed) draft.filters[key] = parsed;
+}
+
+// text replies while we wait for an artist / album filter
+async function handleFilterInput(ctx, text) {
+  const u = getUser(ctx);
+  const key = u.pendingFilter;
+  u.mode = null;
+  u.pendingFilter = null;
+  if (!u.searchDraft || !key) return ctx.reply(ctx.t('filter.expired'));
+  setDraftFilter(u.searchDraft, key, text);
+  return showFilterEditor(ctx);
+}
+
+/* ------------------------------------------------------------------ */
+/*  PLAYLIST / ALBUM DETAIL                                            */
+/* ------------------------------------------------------------------ */
+
+async function showPlaylistDetail(ctx, idOrLink) {
+  const data = await Saavn.playlistById(idOrLink);
+  const pl = data;
+  if (!pl || !pl.songs) {
+    return ctx.reply(ctx.t('playlist.notFound'));
+  }
+
+  addHistory(ctx, 'playlist', { id: pl.id, name: pl.name });
+
+  const cover =
+    pl.image?.find((i) => i.quality === '500x500')?.url ||
+    pl.image?.[pl.image.length - 1]?.url;
+
+  const title = pl.name || 'Unknown playlist';
+  const subtitle = pl.subtitle || '';
+  const count = trackTotal(pl, 0);
+
+  const caption =
+    `📂 *${escapeMd(title)}*\n` +
+    (subtitle ? `${escapeMd(subtitle)}\n` : '') +
+    `🎵 ${ctx.tmd('count.songs', { count })}\n\n${ctx.tmd('list.hint')}`;
+
+  const kb = Markup.inlineKeyboard([
+    [
+      Markup.button.callback(ctx.t('btn.downloadAll'), `pldl:${pl.id}`),
+      Markup.button.callback(ctx.t('btn.zip'), `plzip:${pl.id}`)
+    ]
+  ]);
+
+  if (cover) {
+    await ctx.replyWithPhoto(
+      { url: cover },
+      { caption, parse_mode: 'MarkdownV2', ...kb }
+    );
+  } else {
+    await ctx.reply(caption, { parse_mode: 'MarkdownV2', ...kb });
+  }
+
+  return showTrackPage(ctx, 'pl', pl.id, 0);
+}
+
+async function showAlbumDetail(ctx, idOrLink) {
+  const data = await Saavn.albumById(idOrLink);
+  const album = Array.isArray(data) ? data[0] : data;
+  if (!album || !album.songs) {
+    return ctx.reply(ctx.t('album.notFound'));
+  }
+
+  addHistory(ctx, 'album', { id: album.id, name: album.name });
+
+  const cover =
+    album.image?.find((i) => i.quality === '500x500')?.url ||
+    album.image?.[album.image.length - 1]?.url;
+
+  const title = album.name || 'Unknown album';
+  const artist = album.primaryArtists || album.artist || '';
+  const year = album.year || '';
+  const count = trackTotal(album, 0);
+
+  const caption =
+    `📀 *${escapeMd(title)}*\n` +
+    (artist ? `👤 ${escapeMd(artist)}\n` : '') +
+    (year ? `🗓 ${year}\n` : '') +
+    `🎵 ${ctx.tmd('count.songs', { count })}\n\n${ctx.tmd('list.hint')}`;
+
+  const kb = Markup.inlineKeyboard([
+    [
+      Markup.button.callback(ctx.t('btn.downloadAll'), `abdl:${album.id}`),
+      Markup.button.callback(ctx.t('btn.zip'), `abzip:${album.id}`)
+    ]
+  ]);
+
+  if (cover) {
+    await ctx.replyWithPhoto(
+      { url: cover },
+      { caption, parse_mode: 'MarkdownV2', ...kb }
+    );
+  } else {
+    await ctx.reply(caption, { parse_mode: 'MarkdownV2', ...kb });
+  }
+
+  return showTrackPage(ctx, 'ab', album.id, 0);
+}
+
+// track lists page through the API instead of slicing the first
+// response: "pl"/"ab" + id + page in callback data, TRACK_PAGE_SIZE per
+// screen, API_PAGE_SIZE per request (so paging mostly hits the cache)
+
+const TRACK_PAGE_SIZE = 10;
+const API_PAGE_SIZE = 50;
+const JUMP_BUTTONS = 24;
+
+const TRACK_SOURCES = {
+  pl: { fetch: (id, page) => Saavn.playlistById(id, page, API_PAGE_SIZE), notFound: 'playlist.notFound' },
+  ab: {
+    fetch: async (id, page) => {
+      const data = await Saavn.albumById(id, page, API_PAGE_SIZE);
+      return Array.isArray(data) ? data[0] : data;
+    },
+    notFound: 'album.notFound'
+  }
+};
+
+// songCount is the real size; without it all we know is what we've seen
+function trackTotal(data, apiPage) {
+  return Number(data.songCount) || apiPage * API_PAGE_SIZE + (data.songs?.length || 0);
+}
+
+async function fetchTrackPage(kind, id, page) {
+  const offset = page * TRACK_PAGE_SIZE;
+  const apiPage = Math.floor(offset / API_PAGE_SIZE);
+  const data = await TRACK_SOURCES[kind].fetch(id, apiPage);
+  if (!data?.songs) return null;
+  const start = offset % API_PAGE_SIZE;
+  return {
+    title: data.name || 'Unknown',
+    total: trackTotal(data, apiPage),
+    offset,
+    songs: data.songs.slice(start, start + TRACK_PAGE_SIZE)
+  };
+}
+
+// tracks from..to, 1-based and inclusive, across as many API pages as needed
+async function fetchTrackRange(kind, id, from, to) {
+  const songs = [];
+  let title = 'Unknown';
+  let total = 0;
+  for (let apiPage = Math.floor((from - 1) / API_PAGE_SIZE); ; apiPage += 1) {
+    const data = await TRACK_SOURCES[kind].fetch(id, apiPage);
+    const batch = data?.songs || [];
+    title = data?.name || title;
+    total = data ? trackTotal(data, apiPage) : total;
+    const pageStart = apiPage * API_PAGE_SIZE + 1;
+    songs.push(...batch.filter((_, i) => pageStart + i >= from && pageStart + i <= to));
+    if (batch.length < API_PAGE_SIZE || pageStart + API_PAGE_SIZE > to) break;
+  }
+  return { title, total, songs };
+}
+
+// whole list for "Download all", only as far as a bulk job would go
+function fetchAllTracks(kind, id) {
+  return fetchTrackRange(kind, id, 1, MAX_BULK_SONGS);
+}
+
+// `editing` flips the list in place, the first page always comes as a new message
+async function showTrackPage(ctx, kind, id, page = 0, editing = false) {
+  const data = await fetchTrackPage(kind, id, page);
+  if (!data || !data.songs.length) return ctx.reply(ctx.t(TRACK_SOURCES[kind].notFound));
+
+  const totalPages = Math.max(1, Math.ceil(data.total / TRACK_PAGE_SIZE));
+  const lines = data.songs.map((s, i) => `${data.offset + i + 1}\\. ${renderSongLine(s)}`);
+  const buttons = data.songs.map((s) =>
+    Markup.button.callback(`▶ ${s.name.slice(0, 16)}`, `song:${s.id}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+
+  const base = `${kind}|${id}`;
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback(ctx.t('page.prev'), `trk:${base}|${page - 1}`));
+  if (totalPages > 1) {
+    nav.push(
+      Markup.button.callback(
+        ctx.t('page.label', { page: page + 1, total: totalPages }),
+        `tjump:${base}|${page}`
+      )
+    );
+  }
+  if (page < totalPages - 1) nav.push(Markup.button.callback(ctx.t('page.next'), `trk:${base}|${page + 1}`));
+  if (nav.length) rows.push(nav);
+  if (data.total > 1) rows.push([Markup.button.callback(ctx.t('btn.range'), `trange:${base}`)]);
+
+  const header = ctx.tmd('tracks.header', {
+    title: data.title,
+    from: data.offset + 1,
+    to: data.offset + data.songs.length,
+    total: data.total
+  });
+  const text = `${header}\n\n${lines.join('\n')}`;
+  const extra = { parse_mode: 'MarkdownV2', ...Markup.inlineKeyboard(rows) };
+  return editing ? replyOrEdit(ctx, text, extra) : ctx.reply(text, extra);
+}
+
+// page numbers to jump to; long lists get evenly spaced ones plus the last
+function jumpKeyboard(ctx, kind, id, current, totalPages) {
+  const step = Math.max(1, Math.ceil(totalPages / JUMP_BUTTONS));
+  const pages = [];
+  for (let p = 0; p < totalPages; p += step) pages.push(p);
+  if (pages[pages.length - 1] !== totalPages - 1) pages.push(totalPages - 1);
+
+  const buttons = pages.map((p) =>
+    Markup.button.callback(`${p === current ? '• ' : ''}${p + 1}`, `trk:${kind}|${id}|${p}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 6) {
+    rows.push(buttons.slice(i, i + 6));
+  }
+  rows.push([Markup.button.callback(ctx.t('btn.back'), `trk:${kind}|${id}|${current}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// "11-25", "11 – 25", "11 to 25" or a single track number
+export function parseTrackRange(text, total) {
+  const m = text.trim().match(/^(\d+)(?:\s*(?:-|–|to)\s*(\d+))?$/i);
+  if (!m) return null;
+  const from = Number(m[1]);
+  const to = Number(m[2] || m[1]);
+  if (from < 1 || to < from || to > total) return null;
+  return { from, to };
+}
+
+async function handleTrackRangeInput(ctx, text) {
+  const u = getUser(ctx);
+  const { kind, id, total } = u.pendingTracks || {};
+  const range = parseTrackRange(text, total);
+  if (!range) return ctx.reply(ctx.t('tracks.badRange', { total }));
+
+  u.mode = null;
+  u.pendingTracks = null;
+  const { from, to } = range;
+  const fmt = (format) => `trdl:${kind}|${id}|${from}|${to}|${format}`;
+  return ctx.reply(
+    ctx.t('tracks.confirmRange', { from, to, count: to - from + 1 }),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(ctx.t('btn.download'), fmt('audio')),
+        Markup.button.callback(ctx.t('btn.zip'), fmt('zip'))
+      ]
+    ])
+  );
+}
+
+/* ------------------------------------------------------------------ */
+/*  ARTIST PROFILE                                                     */
+/* ------------------------------------------------------------------ */
+
+const ARTIST_PAGE_SIZE = 10;
+const ARTIST_BIO_CHARS = 300;
+const TOP_DOWNLOAD_COUNT = 10;
+
+function compactNumber(n) {
+  return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(n);
+}
+
+// bio comes as [{title, text, sequence}] or a plain string depending on the API
+function artistBio(artist) {
+  const raw = Array.isArray(artist.bio) ? artist.bio[0]?.text : artist.bio;
+  const text = String(raw || '').replace(/\s+/g, ' ').trim();
+  return text.length > ARTIST_BIO_CHARS ? `${text.slice(0, ARTIST_BIO_CHARS - 1)}…` : text;
+}
+
+async function showArtistDetail(ctx, id) {
+  const artist = await Saavn.artistById(id);
+  if (!artist?.id) return ctx.reply(ctx.t('artist.notFound'));
+
+  addHistory(ctx, 'artist', { id: artist.id, name: artist.name });
+
+  const followers = Number(artist.followerCount) || 0;
+  const facts = [
+    followers ? ctx.t('artist.followers', { count: compactNumber(followers) }) : '',
+    artist.dominantLanguage || '',
+    artist.dominantType || ''
+  ].filter(Boolean);
+  const bio = artistBio(artist);
+
+  const caption =
+    `👤 *${escapeMd(artist.name || 'Unknown')}*${artist.isVerified ? ' ✅' : ''}\n` +
+    (facts.length ? `${escapeMd(facts.join(' • '))}\n` : '') +
+    (bio ? `\n_${escapeMd(bio)}_\n` : '');
+
+  const rows = [
+    [
+      Markup.button.callback(ctx.t('btn.songs'), `artsongs:${artist.id}|0`),
+      Markup.button.callback(ctx.t('btn.albums'), `artalbums:${artist.id}|0`)
+    ],
+    [Markup.button.callback(ctx.t('btn.downloadTop', { count: TOP_DOWNLOAD_COUNT }), `artdl:${artist.id}`)]
+  ];
+  if (artist.similarArtists?.length) {
+    rows.push([Markup.button.callback(ctx.t('btn.similarArtists'), `artsim:${artist.id}`)]);
+  }
+  const kb = Markup.inlineKeyboard(rows);
+
+  const cover = imageUrl(artist, '500x500');
+  if (cover) {
+    await ctx.replyWithPhoto({ url: cover }, { caption, parse_mode: 'MarkdownV2', ...kb });
+  } else {
+    await ctx.reply(caption, { parse_mode: 'MarkdownV2', ...kb });
+  }
+}
+
+// kind: "songs" | "albums"; paging buttons edit the list in place
+async function showArtistList(ctx, kind, id, page = 0) {
+  const [artist, data] = await Promise.all([
+    Saavn.artistById(id),
+    kind === 'songs'
+      ? Saavn.artistSongs(id, page, ARTIST_PAGE_SIZE)
+      : Saavn.artistAlbums(id, page, ARTIST_PAGE_SIZE)
+  ]);
+  const results = data.results || data[kind] || [];
+  if (!results.length) {
+    return ctx.reply(ctx.t(kind === 'songs' ? 'artist.noSongs' : 'artist.noAlbums'));
+  }
+
+  const locale = userLocale(ctx);
+  const offset = page * ARTIST_PAGE_SIZE;
+  const totalPages = Math.max(1, Math.ceil((data.total || results.length) / ARTIST_PAGE_SIZE));
+
+  const lines = results.map((item, i) =>
+    kind === 'songs'
+      ? `${offset + i + 1}\\. ${renderSongLine(item)}`
+      : `${offset + i + 1}\\. ${renderAlbumLine(item, locale)}`
+  );
+  const buttons = results.map((item) =>
+    kind === 'songs'
+      ? Markup.button.callback(`▶ ${item.name.slice(0, 16)}`, `song:${item.id}`)
+      : Markup.button.callback(`📀 ${item.name.slice(0, 16)}`, `album:${item.id}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+
+  const action = kind === 'songs' ? 'artsongs' : 'artalbums';
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback(t(locale, 'page.prev'), `${action}:${id}|${page - 1}`));
+  if (totalPages > 1) {
+    nav.push(Markup.button.callback(t(locale, 'page.label', { page: page + 1, total: totalPages }), 'noop'));
+  }
+  if (page < totalPages - 1) {
+    nav.push(Markup.button.callback(t(locale, 'page.next'), `${action}:${id}|${page + 1}`));
+  }
+  if (nav.length) rows.push(nav);
+
+  const header = tmd(locale, kind === 'songs' ? 'artist.songsTitle' : 'artist.albumsTitle', {
+    name: artist?.name || ''
+  });
+  return replyOrEdit(ctx, `${header}\n\n${lines.join('\n')}`, {
+    parse_mode: 'MarkdownV2',
+    ...Markup.inlineKeyboard(rows)
+  });
+}
+
+async function showSimilarArtists(ctx, id) {
+  const artist = await Saavn.artistById(id);
+  const similar = (artist?.similarArtists || []).filter((a) => a.id).slice(0, 10);
+  if (!similar.length) return ctx.reply(ctx.t('artist.noSimilar'));
+
+  const lines = similar.map((a, i) => `${i + 1}\\. ${renderArtistLine(a)}`);
+  const buttons = similar.map((a) =>
+    Markup.button.callback(`👤 ${a.name.slice(0, 16)}`, `artist:${a.id}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return ctx.reply(
+    `${ctx.tmd('artist.similarTitle', { name: artist.name })}\n\n${lines.join('\n')}`,
+    { parse_mode: 'MarkdownV2', ...Markup.inlineKeyboard(rows) }
+  );
+}
+
+async function downloadArtistTop(ctx, id) {
+  const [artist, data] = await Promise.all([
+    Saavn.artistById(id),
+    Saavn.artistSongs(id, 0, TOP_DOWNLOAD_COUNT)
+  ]);
+  const songs = (data.results || data.songs || []).slice(0, TOP_DOWNLOAD_COUNT);
+  return enqueueBulkDownload(ctx, ctx.t('artist.topTitle', { name: artist?.name || 'Artist' }), songs);
+}
+
+/* ------------------------------------------------------------------ */
+/*  PERSONAL LIBRARY (FAVORITES + USER PLAYLISTS)                      */
+/* ------------------------------------------------------------------ */
+
+// lists are addressed by id in callback data: "fav" for favorites,
+// "p…" for user playlists. Songs are stored as small summaries that
+// renderSongLine understands, full data is refetched on download.
+
+const LIB_PAGE_SIZE = 10;
+const MAX_PLAYLISTS = 20;
+const MAX_LIST_SONGS = 500;
+
+// limits and stale buttons; friendlyError shows the catalog message
+class LibraryError extends Error {
+  constructor(key, vars = {}) {
+    super(t('en', key, vars));
+    this.key = key;
+    this.vars = vars;
+  }
+}
+
+function songSummary(song) {
+  return {
+    id: song.id,
+    name: song.name || 'Unknown',
+    primaryArtists: songArtist(song),
+    duration: song.duration
+  };
+}
+
+function isFavorite(u, songId) {
+  return u.favorites.some((s) => s.id === songId);
+}
+
+function getList(u, listId) {
+  if (listId === 'fav') {
+    return { id: 'fav', name: t(localeFor(u), 'lib.favorites'), songs: u.favorites, builtin: true };
+  }
+  return u.playlists.find((p) => p.id === listId) || null;
+}
+
+// library screens edit themselves in place when reached from a button
+function replyOrEdit(ctx, text, extra) {
+  if (ctx.callbackQuery?.message?.text) {
+    return ctx.editMessageText(text, extra).catch((e) => {
+      if (!/message is not modified/.test(e.message)) throw e;
+    });
+  }
+  return ctx.reply(text, extra);
+}
+
+async function showLibrary(ctx) {
+  const u = getUser(ctx);
+  const count = (n) => ctx.tmd('count.songs', { count: n });
+  const lines = [
+    `📚 *${ctx.tmd('lib.title')}*`,
+    '',
+    `${ctx.tmd('lib.favorites')} • ${count(u.favorites.length)}`,
+    ...u.playlists.map((p) => `📂 ${escapeMd(p.name)} • ${count(p.songs.length)}`)
+  ];
+  if (!u.playlists.length) lines.push('', `_${ctx.tmd('lib.noPlaylists')}_`);
+
+  const rows = [
+    [Markup.button.callback(`${ctx.t('lib.favorites')} (${u.favorites.length})`, 'ulist:fav|0')]
+  ];
+  for (const p of u.playlists) {
+    rows.push([Markup.button.callback(`📂 ${p.name.slice(0, 24)} (${p.songs.length})`, `ulist:${p.id}|0`)]);
+  }
+  rows.push([
+    Markup.button.callback(ctx.t('lib.newPlaylist'), 'uplnew'),
+    Markup.button.callback(ctx.t('btn.import'), 'import')
+  ]);
+
+  return replyOrEdit(ctx, lines.join('\n'), {
+    parse_mode: 'MarkdownV2',
+    ...Markup.inlineKeyboard(rows)
+  });
+}
+
+async function showUserList(ctx, listId, page = 0, editing = false) {
+  const u = getUser(ctx);
+  const list = getList(u, listId);
+  if (!list) return replyOrEdit(ctx, ctx.t('lib.gone'));
+
+  const totalPages = Math.max(1, Math.ceil(list.songs.length / LIB_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), totalPages - 1);
+  const offset = current * LIB_PAGE_SIZE;
+  const songs = list.songs.slice(offset, offset + LIB_PAGE_SIZE);
+
+  const header = `*${escapeMd(list.name)}* • ${ctx.tmd('count.songs', { count: list.songs.length })}`;
+  const body = songs.length
+    ? songs.map((s, i) => `${offset + i + 1}\\. ${renderSongLine(s)}`).join('\n')
+    : ctx.tmd('lib.listEmpty');
+
+  const rows = [];
+  if (editing) {
+    for (const [i, s] of songs.entries()) {
+      const n = offset + i + 1;
+      rows.push([
+        Markup.button.callback(`⬆️ ${n}`, `umv:${list.id}|${s.id}|up`),
+        Markup.button.callback(`⬇️ ${n}`, `umv:${list.id}|${s.id}|down`),
+        Markup.button.callback(`🗑 ${n}`, `urm:${list.id}|${s.id}`)
+      ]);
+    }
+  } else {
+    const buttons = songs.map((s) =>
+      Markup.button.callback(`▶ ${s.name.slice(0, 16)}`, `song:${s.id}`)
+    );
+    for (let i = 0; i < buttons.length; i += 2) {
+      rows.push(buttons.slice(i, i + 2));
+    }
+  }
+
+  const nav = [];
+  const navAction = editing ? 'uedit' : 'ulist';
+  if (current > 0) nav.push(Markup.button.callback(ctx.t('page.prev'), `${navAction}:${list.id}|${current - 1}`));
+  if (totalPages > 1) {
+    nav.push(Markup.button.callback(ctx.t('page.label', { page: current + 1, total: totalPages }), 'noop'));
+  }
+  if (current < totalPages - 1) nav.push(Markup.button.callback(ctx.t('page.next'), `${navAction}:${list.id}|${current + 1}`));
+  if (nav.length) rows.push(nav);
+
+  if (editing) {
+    if (!list.builtin) {
+      rows.push([
+        Markup.button.callback(ctx.t('btn.rename'), `uren:${list.id}`),
+        Markup.button.callback(ctx.t('btn.deletePlaylist'), `udel:${list.id}`)
+      ]);
+    }
+    rows.push([Markup.button.callback(ctx.t('btn.done'), `ulist:${list.id}|${current}`)]);
+  } else {
+    if (list.songs.length) {
+      rows.push([
+        Markup.button.callback(ctx.t('btn.downloadAll'), `udl:${list.id}`),
+        Markup.button.callback(ctx.t('btn.zip'), `uzip:${list.id}`)
+      ]);
+    }
+    rows.push([
+      Markup.button.callback(ctx.t('btn.edit'), `uedit:${list.id}|${current}`),
+      Markup.button.callback(ctx.t('btn.library'), 'lib')
+    ]);
+  }
+
+  return replyOrEdit(ctx, `${header}\n\n${body}`, {
+    parse_mode: 'MarkdownV2',
+    ...Markup.inlineKeyboard(rows)
+  });
+}
+
+async function toggleFavorite(ctx, songId) {
+  const u = getUser(ctx);
+  const idx = u.favorites.findIndex((s) => s.id === songId);
+  if (idx !== -1) {
+    u.favorites.splice(idx, 1);
+    return false;
+  }
+  if (u.favorites.length >= MAX_LIST_SONGS) {
+    throw new LibraryError('lib.maxFavorites', { max: MAX_LIST_SONGS });
+  }
+  const song = pickSong(await Saavn.songById(songId));
+  if (!song) throw new LibraryError('song.notFound');
+  u.favorites.unshift(songSummary(song));
+  return true;
+}
+
+async function addToPlaylist(ctx, listId, songId) {
+  const u = getUser(ctx);
+  const list = getList(u, listId);
+  if (!list || list.builtin) throw new LibraryError('lib.notFound');
+  if (list.songs.some((s) => s.id === songId)) return list;
+  if (list.songs.length >= MAX_LIST_SONGS) {
+    throw new LibraryError('lib.maxSongs', { max: MAX_LIST_SONGS });
+  }
+  const song = pickSong(await Saavn.songById(songId));
+  if (!song) throw new LibraryError('song.notFound');
+  list.songs.push(songSummary(song));
+  return list;
+}
+
+function createPlaylist(u, name) {
+  if (u.playlists.length >= MAX_PLAYLISTS) {
+    throw new LibraryError('lib.maxPlaylists', { max: MAX_PLAYLISTS });
+  }
+  const list = {
+    id: `p${Date.now().toString(36)}`,
+    name,
+    songs: [],
+    createdAt: Date.now()
+  };
+  u.playlists.push(list);
+  return list;
+}
+
+function moveSong(list, songId, direction) {
+  const from = list.songs.findIndex((s) => s.id === songId);
+  const to = direction === 'up' ? from - 1 : from + 1;
+  if (from === -1 || to < 0 || to >= list.songs.length) return from;
+  const [song] = list.songs.splice(from, 1);
+  list.songs.splice(to, 0, song);
+  return to;
+}
+
+function cleanListName(text) {
+  return text.replace(/\s+/g, ' ').trim().slice(0, 40);
+}
+
+// text replies while we wait for a playlist name
+async function handleLibraryInput(ctx, text) {
+  const u = getUser(ctx);
+  const name = cleanListName(text);
+  if (!name) return ctx.reply(ctx.t('lib.nameEmpty'));
+
+  if (u.mode === 'await_playlist_name') {
+    const list = createPlaylist(u, name);
+    const songId = u.pendingSongId;
+    u.mode = null;
+    u.pendingSongId = null;
+    if (songId) await addToPlaylist(ctx, list.id, songId);
+    await ctx.reply(ctx.t('lib.created', { name }));
+    return showUserList(ctx, list.id, 0);
+  }
+
+  // await_playlist_rename
+  const list = getList(u, u.pendingListId);
+  u.mode = null;
+  u.pendingListId = null;
+  if (!list || list.builtin) return ctx.reply(ctx.t('playlist.notFound'));
+  list.name = name;
+  await ctx.reply(ctx.t('lib.renamed', { name }));
+  return showUserList(ctx, list.id, 0);
+}
+
+/* ------------------------------------------------------------------ */
+/*  PLAYLIST IMPORT                                                    */
+/* ------------------------------------------------------------------ */
+
+// an exported playlist file (see src/importer.js) is matched row by row
+// against song search, the user reviews the matches and saves them as a
+// library playlist. The review lives in u.pendingImport until then.
+
+const IMPORT_PAGE_SIZE = 10;
+const IMPORT_ALTERNATES = 3;
+const IMPORT_PROGRESS_EVERY = 10;
+const SURE_MATCH_SCORE = 0.8;
+
+const importing = new Set(); // userIds with a file being matched right now
+
+const describeSong = (s) => ({ title: s.name, artist: songArtist(s), duration: Number(s.duration) || 0 });
+
+// -> {query, candidates: [{song, score}], choice}, choice -1 = skipped
+async function matchImportEntry(query) {
+  const data = await Saavn.searchSongs(`${query.title} ${query.artist}`.trim(), 0, 10).catch((e) => {
+    if (e instanceof SaavnNotFoundError) return {};
+    throw e;
+  });
+  const candidates = rankMatches(query, data.results || [], describeSong)
+    .slice(0, IMPORT_ALTERNATES)
+    .map(({ item, score }) => ({ song: songSummary(item), score }));
+  const choice = candidates[0]?.score >= MIN_MATCH_SCORE ? 0 : -1;
+  return { query, candidates, choice };
+}
+
+function importIcon(entry) {
+  if (entry.choice === -1) return '❌';
+  return entry.candidates[entry.choice].score >= SURE_MATCH_SCORE ? '✅' : '⚠️';
+}
+
+function importQueryText(query) {
+  const parts = [query.title];
+  if (query.artist) parts.push(query.artist);
+  return parts.join(' – ') + (query.duration ? ` (${secondsToTime(query.duration)})` : '');
+}
+
+async function runImport(ctx, file) {
+  const u = getUser(ctx);
+  u.mode = null;
+  if (file.file_size > MAX_IMPORT_BYTES) {
+    return ctx.reply(ctx.t('import.tooBig', { max: Math.round(MAX_IMPORT_BYTES / 1024) }));
+  }
+  if (importing.has(ctx.from.id)) return ctx.reply(ctx.t('import.busy'));
+
+  let parsed;
+  try {
+    const link = await ctx.telegram.getFileLink(file.file_id);
+    const body = await fetchBinary(String(link));
+    parsed = parsePlaylistFile(file.file_name, body.toString('utf8'));
+  } catch (e) {
+    if (!(e instanceof ImportFormatError)) throw e;
+    return ctx.reply(ctx.t('import.unreadable'));
+  }
+  if (!parsed.entries.length) return ctx.reply(ctx.t('import.empty'));
+  if (parsed.total > parsed.entries.length) {
+    await ctx.reply(ctx.t('import.truncated', { max: MAX_IMPORT_TRACKS, total: parsed.total }));
+  }
+
+  const status = await ctx.reply(ctx.t('import.progress', { done: 0, total: parsed.entries.length }));
+
+  // matching a long file takes minutes: run it outside the update handler
+  // like bulk jobs, so other users' updates don't wait behind it
+  importing.add(ctx.from.id);
+  matchImport(ctx, parsed, status.message_id)
+    .catch(async (e) => {
+      log.error('Import failed', { userId: ctx.from.id, err: e });
+      await ctx.telegram
+        .editMessageText(ctx.chat.id, status.message_id, undefined, friendlyError(e, userLocale(ctx)))
+        .catch(() => {});
+    })
+    .finally(() => importing.delete(ctx.from.id));
+}
+
+async function matchImport(ctx, parsed, statusMsgId) {
+  const u = getUser(ctx);
+  const total = parsed.entries.length;
+  const entries = [];
+  // one search at a time, a 200 row file shouldn't hog the API
+  for (const query of parsed.entries) {
+    entries.push(await matchImportEntry(query));
+    if (entries.length % IMPORT_PROGRESS_EVERY === 0 && entries.length < total) {
+      const text = ctx.t('import.progress', { done: entries.length, total });
+      await ctx.telegram.editMessageText(ctx.chat.id, statusMsgId, undefined, text).catch(() => {});
+    }
+  }
+  await ctx.telegram.deleteMessage(ctx.chat.id, statusMsgId).catch(() => {});
+
+  u.pendingImport = { name: parsed.name, entries, at: Date.now() };
+  return showImportReview(ctx, 0);
+}
+
+async function showImportReview(ctx, page = 0) {
+  const imp = getUser(ctx).pendingImport;
+  if (!imp) return replyOrEdit(ctx, ctx.t('import.expired'));
+
+  const count = (icon) => imp.entries.filter((e) => importIcon(e) === icon).length;
+  const totalPages = Math.max(1, Math.ceil(imp.entries.length / IMPORT_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), totalPages - 1);
+  const offset = current * IMPORT_PAGE_SIZE;
+  const shown = imp.entries.slice(offset, offset + IMPORT_PAGE_SIZE);
+
+  const lines = shown.map((e, i) => {
+    const head = `${offset + i + 1}\\. ${importIcon(e)} ${escapeMd(importQueryText(e.query))}`;
+    if (e.choice === -1) return `${head}\n      _${ctx.tmd('import.noMatch')}_`;
+    const { song, score } = e.candidates[e.choice];
+    return `${head}\n      → ${renderSongLine(song)} • ${Math.round(score * 100)}%`;
+  });
+  const text =
+    `📥 *${escapeMd(imp.name)}*\n` +
+    `${ctx.tmd('import.summary', { sure: count('✅'), unsure: count('⚠️'), missing: count('❌') })}\n\n` +
+    lines.join('\n');
+
+  const fix = shown.map((e, i) =>
+    Markup.button.callback(`${importIcon(e)} ${offset + i + 1}`, `imfix:${offset + i}`)
+  );
+  const rows = [];
+  for (let i = 0; i < fix.length; i += 5) {
+    rows.push(fix.slice(i, i + 5));
+  }
+  const nav = [];
+  if (current > 0) nav.push(Markup.button.callback(ctx.t('page.prev'), `imrev:${current - 1}`));
+  if (totalPages > 1) {
+    nav.push(Markup.button.callback(ctx.t('page.label', { page: current + 1, total: totalPages }), 'noop'));
+  }
+  if (current < totalPages - 1) nav.push(Markup.button.callback(ctx.t('page.next'), `imrev:${current + 1}`));
+  if (nav.length) rows.push(nav);
+  rows.push([
+    Markup.button.callback(ctx.t('btn.saveImport'), 'imsave'),
+    Markup.button.callback(ctx.t('btn.cancel'), 'imcancel')
+  ]);
+
+  return replyOrEdit(ctx, text, { parse_mode: 'MarkdownV2', ...Markup.inlineKeyboard(rows) });
+}
+
+// one row with its alternates to pick from
+async function showImportEntry(ctx, idx) {
+  const imp = getUser(ctx).pendingImport;
+  const entry = imp?.entries[idx];
+  if (!entry) return replyOrEdit(ctx, ctx.t('import.expired'));
+
+  const lines = entry.candidates.map(
+    ({ song, score }, k) => `${k === entry.choice ? '✅' : '▫️'} ${renderSongLine(song)} • ${Math.round(score * 100)}%`
+  );
+  const text =
+    `${ctx.tmd('import.pickFor')}\n*${escapeMd(importQueryText(entry.query))}*\n\n` +
+    (lines.length ? lines.join('\n') : `_${ctx.tmd('import.noCandidates')}_`);
+
+  const rows = entry.candidates.map(({ song }, k) => [
+    Markup.button.callback(`${k === entry.choice ? '✅ ' : ''}${song.name.slice(0, 30)}`, `impick:${idx}|${k}`)
+  ]);
+  rows.push([
+    Markup.button.callback(ctx.t('btn.skipImport'), `impick:${idx}|-1`),
+    Markup.button.callback(ctx.t('btn.back'), `imrev:${Math.floor(idx / IMPORT_PAGE_SIZE)}`)
+  ]);
+  return replyOrEdit(ctx, text, { parse_mode: 'MarkdownV2', ...Markup.inlineKeyboard(rows) });
+}
+
+function pickImportMatch(u, idx, choice) {
+  const entry = u.pendingImport?.entries[idx];
+  if (!entry) return false;
+  entry.choice = choice >= 0 && choice < entry.candidates.length ? choice : -1;
+  return true;
+}
+
+// the chosen songs become a library playlist, duplicates dropped
+function saveImport(u) {
+  const imp = u.pendingImport;
+  if (!imp) throw new LibraryError('import.expired');
+  const songs = [];
+  const seen = new Set();
+  for (const e of imp.entries) {
+    const song = e.candidates[e.choice]?.song;
+    if (!song || seen.has(song.id)) continue;
+    seen.add(song.id);
+    songs.push(song);
+  }
+  if (!songs.length) throw new LibraryError('import.nothingToSave');
+
+  const list = createPlaylist(u, imp.name);
+  list.songs = songs.slice(0, MAX_LIST_SONGS);
+  u.pendingImport = null;
+  return { list, skipped: imp.entries.length - list.songs.length };
+}
+
+/* ------------------------------------------------------------------ */
+/*  GROUP CHATS                                                        */
+/* ------------------------------------------------------------------ */
+
+// in groups the bot only answers commands and @mentions. Every chat has
+// a shared queue: "Play next" sends the head track into the chat, and
+// cutting a track short or pinning one needs `votesNeeded` members (or
+// one group admin). Settings are per chat and admin-only.
+
+const QUALITY_ORDER = ['96', '160', '320'];
+const MAX_QUEUE = 50;
+const QUEUE_SHOWN = 10;
+
+function newGroupState() {
+  return {
+    settings: {
+      maxQuality: '320', // members' own preference is capped at this
+      allowBulk: false, // false = only admins may download whole albums
+      votesNeeded: 3
+    },
+    queue: [], // [{uid, ...songSummary, addedBy, addedByName, pinned, pinVotes}]
+    nextUid: 1,
+    nowPlaying: null // {...queue item, startedAt, skipVotes}
+  };
+}
+
+function isGroupChat(ctx) {
+  return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+function mentionsBot(ctx, text) {
+  return Boolean(ctx.me) && text.toLowerCase().includes(`@${ctx.me.toLowerCase()}`);
+}
+
+function getGroup(chatId) {
+  if (!groupState.has(chatId)) groupState.set(chatId, newGroupState());
+  return groupState.get(chatId);
+}
+
+async function isChatAdmin(ctx) {
+  if (!isGroupChat(ctx) || isAdmin(ctx)) return true;
+  const member = await ctx.getChatMember(ctx.from.id).catch(() => null);
+  return member?.status === 'creator' || member?.status === 'administrator';
+}
+
+// the quality a download in this chat actually uses
+function chatQuality(ctx, u) {
+  if (!isGroupChat(ctx)) return u.quality;
+  const cap = getGroup(ctx.chat.id).settings.maxQuality;
+  return QUALITY_ORDER.indexOf(u.quality) > QUALITY_ORDER.indexOf(cap) ? cap : u.quality;
+}
+
+async function canBulkDownload(ctx) {
+  if (!isGroupChat(ctx) || getGroup(ctx.chat.id).settings.allowBulk) return true;
+  return isChatAdmin(ctx);
+}
+
+function queueLine(item) {
+  return `${item.name} • ${item.primaryArtists} • ${secondsToTime(item.duration)}`;
+}
+
+function queueText(ctx, g) {
+  const lines = [ctx.t('group.queueTitle'), ''];
+  if (g.nowPlaying) {
+    lines.push(ctx.t('group.nowPlaying', { song: queueLine(g.nowPlaying) }));
+    if (g.nowPlaying.skipVotes.length) {
+      lines.push(
+        ctx.t('group.skipVotes', {
+          votes: g.nowPlaying.skipVotes.length,
+          needed: g.settings.votesNeeded
+        })
+      );
+    }
+    lines.push('');
+  }
+  if (!g.queue.length) {
+    lines.push(ctx.t('group.queueEmpty'));
+    return lines.join('\n');
+  }
+  lines.push(ctx.t('group.upNext'));
+  for (const [i, item] of g.queue.slice(0, QUEUE_SHOWN).entries()) {
+    const by = item.addedByName ? ` – ${ctx.t('group.addedBy', { name: item.addedByName })}` : '';
+    lines.push(`${i + 1}. ${item.pinned ? '📌 ' : ''}${queueLine(item)}${by}`);
+  }
+  if (g.queue.length > QUEUE_SHOWN) {
+    lines.push(ctx.t('job.more', { count: g.queue.length - QUEUE_SHOWN }));
+  }
+  return lines.join('\n');
+}
+
+function queueKeyboard(ctx, g) {
+  const needed = g.settings.votesNeeded;
+  const rows = [];
+  if (g.nowPlaying && !trackFinished(g.nowPlaying)) {
+    rows.push([
+      Markup.button.callback(
+        ctx.t('btn.skip', { votes: g.nowPlaying.skipVotes.length, needed }),
+        'gnext'
+      )
+    ]);
+  } else if (g.queue.length) {
+    rows.push([Markup.button.callback(ctx.t('btn.playNext'), 'gnext')]);
+  }
+
+  const pins = g.queue
+    .slice(0, QUEUE_SHOWN)
+    .map((item, i) => ({ item, n: i + 1 }))
+    .filter(({ item }) => !item.pinned)
+    .map(({ item, n }) =>
+      Markup.button.callback(`📌 ${n} (${item.pinVotes.length}/${needed})`, `gpin:${item.uid}`)
+    );
+  for (let i = 0; i < pins.length; i += 4) {
+    rows.push(pins.slice(i, i + 4));
+  }
+  rows.push([Markup.button.callback(ctx.t('btn.refresh'), 'gqueue')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function showQueue(ctx) {
+  const g = getGroup(ctx.chat.id);
+  return replyOrEdit(ctx, queueText(ctx, g), queueKeyboard(ctx, g));
+}
+
+// Telegram doesn't tell us when a track ends, its duration has to do
+function trackFinished(track) {
+  return Date.now() - track.startedAt >= (Number(track.duration) || 0) * 1000;
+}
+
+async function queueSong(ctx, songId) {
+  const g = getGroup(ctx.chat.id);
+  if (g.queue.some((item) => item.id === songId)) {
+    throw new LibraryError('group.alreadyQueued');
+  }
+  if (g.queue.length >= MAX_QUEUE) throw new LibraryError('group.queueFull', { max: MAX_QUEUE });
+
+  const song = pickSong(await Saavn.songById(songId));
+  if (!song) throw new LibraryError('song.notFound');
+  g.queue.push({
+    uid: g.nextUid++,
+    ...songSummary(song),
+    addedBy: ctx.from.id,
+    addedByName: ctx.from.first_name || ctx.from.username || null,
+    pinned: false,
+    pinVotes: []
+  });
+  markDirty();
+  return g.queue.length;
+}
+
+// pops the head of the queue and sends it into the chat
+async function playNext(ctx, g) {
+  const item = g.queue.shift();
+  g.nowPlaying = null;
+  markDirty();
+  if (!item) return null;
+
+  const song = pickSong(await Saavn.songById(item.id));
+  if (!song) throw new LibraryError('song.notFound');
+  await sendSongAudio(ctx.chat.id, song, chatQuality(ctx, getUser(ctx)), { locale: userLocale(ctx) });
+  g.nowPlaying = { ...item, startedAt: Date.now(), skipVotes: [] };
+  return g.nowPlaying;
+}
+
+// returns the vote count, or null once the vote (or an admin) decided
+async function voteSkip(ctx, g) {
+  const track = g.nowPlaying;
+  if (!track || trackFinished(track) || (await isChatAdmin(ctx))) return null;
+  if (!track.skipVotes.includes(ctx.from.id)) track.skipVotes.push(ctx.from.id);
+  return track.skipVotes.length >= g.settings.votesNeeded ? null : track.skipVotes.length;
+}
+
+// pinned tracks jump ahead of everything that isn't pinned
+async function votePin(ctx, g, uid) {
+  const idx = g.queue.findIndex((item) => item.uid === uid);
+  if (idx === -1) throw new LibraryError('group.trackGone');
+  const item = g.queue[idx];
+  if (item.pinned) throw new LibraryError('group.alreadyPinned');
+
+  if (!item.pinVotes.includes(ctx.from.id)) item.pinVotes.push(ctx.from.id);
+  markDirty();
+  if (item.pinVotes.length < g.settings.votesNeeded && !(await isChatAdmin(ctx))) {
+    return item.pinVotes.length;
+  }
+
+  item.pinned = true;
+  g.queue.splice(idx, 1);
+  const firstUnpinned = g.queue.findIndex((other) => !other.pinned);
+  g.queue.splice(firstUnpinned === -1 ? g.queue.length : firstUnpinned, 0, item);
+  return null;
+}
+
+function groupSettingsText(ctx, g) {
+  return ctx.t('group.settingsTitle', {
+    quality: g.settings.maxQuality,
+    bulk: ctx.t(g.settings.allowBulk ? 'group.bulk.all' : 'group.bulk.admins'),
+    votes: g.settings.votesNeeded
+  });
+}
+
+function groupSettingsKeyboard(ctx, g) {
+  const mark = (on) => (on ? '✅ ' : '');
+  const { maxQuality, allowBulk, votesNeeded } = g.settings;
+  return Markup.inlineKeyboard([
+    QUALITY_ORDER.map((q) =>
+      Markup.button.callback(`${mark(maxQuality === q)}${q}kbps`, `gset:quality|${q}`)
+    ),
+    [
+      Markup.button.callback(`${mark(allowBulk)}${ctx.t('btn.bulkAll')}`, 'gset:bulk|on'),
+      Markup.button.callback(`${mark(!allowBulk)}${ctx.t('btn.bulkAdmins')}`, 'gset:bulk|off')
+    ],
+    [1, 2, 3, 5].map((n) =>
+      Markup.button.callback(`${mark(votesNeeded === n)}${ctx.t('btn.votes', { n })}`, `gset:votes|${n}`)
+    )
+  ]);
+}
+
+function applyGroupSetting(g, key, value) {
+  if (key === 'quality' && QUALITY_ORDER.includes(value)) g.settings.maxQuality = value;
+  if (key === 'bulk') g.settings.allowBulk = value === 'on';
+  if (key === 'votes' && Number(value) > 0) g.settings.votesNeeded = Number(value);
+  markDirty();
+}
+
+/* ------------------------------------------------------------------ */
+/*  RATE LIMITING + BANS                                               */
+/* ------------------------------------------------------------------ */
+
+// token buckets per (user, category): `capacity` is the burst a user
+// gets, then one token comes back every 1/refillPerSec seconds
+
+const RATE_LIMITS = {
+  search: { capacity: 10, refillPerSec: 1 / 3 },
+  download: { capacity: 5, refillPerSec: 1 / 10 },
+  bulk: { capacity: 2, refillPerSec: 1 / 600 },
+  // a mix asks for suggestions around every seed at once
+  mix: { capacity: 3, refillPerSec: 1 / 60 },
+  // the public /lyrics page, per IP address rather than per user
+  lyricsPage: { capacity: 10, refillPerSec: 1 / 6 }
+};
+
+const BULK_PREFIXES = ['pldl', 'abdl', 'plzip', 'abzip', 'udl', 'uzip', 'artdl', 'trdl', 'mixdl', 'mixzip', 'jobretry'];
+const SEARCH_PREFIXES = [
+  'song',
+  'album',
+  'playlist',
+  'artist',
+  'artsongs',
+  'artalbums',
+  'artsim',
+  'trk',
+  'tjump',
+  'lyr',
+  'page',
+  'similar',
+  'sfgo',
+  // a song lookup before it's saved or queued
+  'fav',
+  'uadd',
+  'gq'
+];
+
+// Map<`${userId}:${category}`, {tokens, updatedAt, warnedUntil}>; web
+// pages use `ip:${address}` in place of the user id
+const rateBuckets = new Map();
+const offenders = new Map(); // Map<userId, {hits, lastAt, category}>, least recent first
+const OFFENDER_KEEP_MS = 24 * HOUR;
+const MAX_OFFENDERS = 1000;
+
+function isAdmin(ctx) {
+  return Boolean(ADMIN_ID) && ctx.from?.id === ADMIN_ID;
+}
+
+function rateCategory(ctx) {
+  const data = ctx.callbackQuery?.data;
+  if (data) {
+    const prefix = data.split(':')[0];
+    // gnext uploads the next song of a group queue
+    if (prefix === 'dl' || prefix === 'gnext') return 'download';
+    if (prefix === 'mixnew') return 'mix';
+    if (BULK_PREFIXES.includes(prefix)) return 'bulk';
+    if (SEARCH_PREFIXES.includes(prefix)) return 'search';
+    return null;
+  }
+  if (ctx.inlineQuery) return ctx.inlineQuery.query.trim() ? 'search' : null;
+  // every row of an imported playlist is a search
+  if (ctx.message?.document) {
+    return !isGroupChat(ctx) && isImportFile(ctx.message.document.file_name) ? 'bulk' : null;
+  }
+
+  const text = ctx.message?.text;
+  if (!text) return null;
+  if (text.startsWith('/')) {
+    if (/^\/foryou(@\w+)?(\s|$)/i.test(text)) return 'mix';
+    return /^\/(song|album)(@\w+)?\s+\S/i.test(text) ? 'search' : null;
+  }
+  // group chatter that isn't addressed to us costs nothing
+  if (isGroupChat(ctx) && !mentionsBot(ctx, text)) return null;
+  const action = menuAction(text);
+  if (action) return action === 'foryou' ? 'mix' : null;
+  const mode = userState.get(ctx.from.id)?.mode;
+  if (mode === 'await_playlist_name' || mode === 'await_playlist_rename') return null;
+  if (mode === 'await_track_range' || mode === 'await_filter') return null;
+  return 'search';
+}
+
+function takeToken(userId, category, cost = 1) {
+  const rule = RATE_LIMITS[category];
+  const key = `${userId}:${category}`;
+  const now = Date.now();
+  const bucket = rateBuckets.get(key) || { tokens: rule.capacity, updatedAt: now, warnedUntil: 0 };
+  bucket.tokens = Math.min(
+    rule.capacity,
+    bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.refillPerSec
+  );
+  bucket.updatedAt = now;
+  rateBuckets.set(key, bucket);
+
+  if (bucket.tokens >= cost) {
+    bucket.tokens -= cost;
+    return { ok: true };
+  }
+  return { ok: false, bucket, retryAfter: Math.ceil((cost - bucket.tokens) / rule.refillPerSec) };
+}
+
+function cooldownText(locale, category, seconds) {
+  const wait =
+    seconds >= 90
+      ? t(locale, 'wait.min', { n: Math.ceil(seconds / 60) })
+      : t(locale, 'wait.sec', { n: seconds });
+  return t(locale, `limit.${category}`, { wait });
+}
+
+bot.use(async (ctx, next) => {
+  const userId = ctx.from?.id;
+  if (!userId || isAdmin(ctx)) return next();
+
+  if (bannedUsers.has(userId)) {
+    // stay silent, just stop spinners and empty inline lists
+    if (ctx.callbackQuery) await ctx.answerCbQuery().catch(() => {});
+    if (ctx.inlineQuery) await ctx.answerInlineQuery([], { cache_time: 300 }).catch(() => {});
+    return;
+  }
+
+  const category = rateCategory(ctx);
+  if (!category) return next();
+  if (await spendTokens(ctx, category)) return next();
+});
+
+// for handlers whose work costs more than the update that started it
+// was charged: false means the user has been told to wait, stop there
+async function spendTokens(ctx, category, cost = 1) {
+  const userId = ctx.from.id;
+  if (isAdmin(ctx)) return true;
+  const verdict = takeToken(userId, category, cost);
+  if (verdict.ok) return true;
+
+  metrics.rateLimited.inc({ category });
+  const offender = offenders.get(userId) || { hits: 0 };
+  offenders.delete(userId);
+  offenders.set(userId, { hits: offender.hits + 1, lastAt: Date.now(), category });
+  if (offenders.size > MAX_OFFENDERS) offenders.delete(offenders.keys().next().value);
+
+  const text = cooldownText(userLocale(ctx), category, verdict.retryAfter);
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(text).catch(() => {});
+  } else if (ctx.inlineQuery) {
+    await ctx.answerInlineQuery([], { cache_time: 5 }).catch(() => {});
+  } else if (verdict.bucket.warnedUntil <= Date.now()) {
+    // one warning per cooldown, spam after that is ignored quietly
+    verdict.bucket.warnedUntil = Date.now() + verdict.retryAfter * 1000;
+    await ctx.reply(text);
+  }
+  return false;
+}
+
+// full buckets carry no information, drop them so the map stays small
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of rateBuckets) {
+    const rule = RATE_LIMITS[key.slice(key.lastIndexOf(':') + 1)];
+    const refilled = bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.refillPerSec;
+    if (refilled >= rule.capacity) rateBuckets.delete(key);
+  }
+  // a day without being throttled wipes the slate
+  for (const [userId, offender] of offenders) {
+    if (now - offender.lastAt < OFFENDER_KEEP_MS) break;
+    offenders.delete(userId);
+  }
+}, 10 * 60 * 1000).unref();
+
+/* ------------------------------------------------------------------ */
+/*  BROADCASTS                                                         */
+/* ------------------------------------------------------------------ */
+
+const BROADCAST_PER_SEC = 25; // Telegram allows ~30 messages/s per bot
+const BROADCAST_MAX_RETRIES = 3;
+const BROADCAST_EDIT_MS = 5000;
+const BROADCAST_PREVIEW_MS = 30 * 60 * 1000; // unconfirmed previews are dropped after this
+
+const broadcasts = new Map(); // Map<broadcastId, broadcast>, previews and running ones only
+let nextBroadcastId = 1;
+
+function parseBroadcast(ctx) {
+  let body = ctx.message.text.replace(/^\/broadcast(@\w+)?\s*/i, '');
+  const filters = {};
+  let m;
+  while ((m = body.match(/^(lang|active):(\S+)\s*/i))) {
+    filters[m[1].toLowerCase()] = m[2].toLowerCase();
+    body = body.slice(m[0].length);
+  }
+
+  const buttons = [];
+  const lines = body.split('\n').filter((line) => {
+    const b = line.trim().match(/^\[(.+?)\]\((https?:\/\/\S+)\)$/);
+    if (b) buttons.push({ text: b[1], url: b[2] });
+    return !b;
+  });
+  const text = lines.join('\n').trim();
+
+  const replied = ctx.message.reply_to_message;
+  if (!text && !replied) return null;
+  return {
+    filters,
+    buttons,
+    // a replied-to message is copied as is, media and caption included
+    source: replied ? { chatId: ctx.chat.id, messageId: replied.message_id } : null,
+    text: replied ? null : text
+  };
+}
+
+function parseActiveWindow(value) {
+  const m = String(value).match(/^(\d+)([hd])$/);
+  if (!m) return null;
+  return Number(m[1]) * (m[2] === 'h' ? HOUR : 24 * HOUR);
+}
+
+function broadcastAudience(filters) {
+  const activeWindow = filters.active ? parseActiveWindow(filters.active) : null;
+  const ids = [];
+  for (const id of globalStats.users) {
+    if (bannedUsers.has(id)) continue;
+    const u = userState.get(id);
+    if (u?.blockedBot) continue;
+    // the language the bot talks to them in, Settings choice included
+    if (filters.lang && localeFor(u) !== filters.lang) continue;
+    if (activeWindow && !(u?.lastSeen > Date.now() - activeWindow)) continue;
+    ids.push(id);
+  }
+  return ids;
+}
+
+function describeFilters(locale, filters) {
+  const parts = [];
+  if (filters.lang) parts.push(t(locale, 'broadcast.filterLang', { lang: filters.lang }));
+  if (filters.active) parts.push(t(locale, 'broadcast.filterActive', { active: filters.active }));
+  return parts.length ? parts.join(', ') : t(locale, 'broadcast.filterAll');
+}
+
+function sendBroadcastTo(chatId, bc) {
+  const extra = bc.buttons.length
+    ? Markup.inlineKeyboard(bc.buttons.map((b) => [Markup.button.url(b.text, b.url)]))
+    : {};
+  if (bc.source) {
+    return bot.telegram.copyMessage(chatId, bc.source.chatId, bc.source.messageId, extra);
+  }
+  // plain text on purpose: admins shouldn't have to escape MarkdownV2
+  return bot.telegram.sendMessage(chatId, bc.text, extra);
+}
+
+async function previewBroadcast(ctx, bc) {
+  if (bc.filters.active && !parseActiveWindow(bc.filters.active)) {
+    return ctx.reply(ctx.t('broadcast.badActive'));
+  }
+  if (bc.filters.lang && !LOCALES.includes(bc.filters.lang)) {
+    return ctx.reply(ctx.t('broadcast.badLang', { locales: LOCALES.join(', ') }));
+  }
+  const audience = broadcastAudience(bc.filters);
+  const id = nextBroadcastId++;
+  // progress edits happen outside any update, like bulk jobs
+  const locale = userLocale(ctx);
+  broadcasts.set(id, { ...bc, id, status: 'preview', adminChatId: ctx.chat.id, locale });
+  setTimeout(() => {
+    if (broadcasts.get(id)?.status === 'preview') broadcasts.delete(id);
+  }, BROADCAST_PREVIEW_MS).unref();
+
+  await ctx.reply(ctx.t('broadcast.preview'));
+  await sendBroadcastTo(ctx.chat.id, bc);
+  return ctx.reply(
+    ctx.t('broadcast.audience', { count: audience.length, filters: describeFilters(locale, bc.filters) }),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(ctx.t('btn.broadcastSend', { count: audience.length }), `bcsend:${id}`),
+        Markup.button.callback(ctx.t('btn.cancel'), `bccancel:${id}`)
+      ]
+    ])
+  );
+}
+
+function broadcastReport(bc) {
+  const secs = Math.round(((bc.finishedAt || Date.now()) - bc.startedAt) / 1000);
+  return t(bc.locale, 'broadcast.report', {
+    head: t(bc.locale, `broadcast.${bc.status}`),
+    done: bc.done,
+    total: bc.audience.length,
+    secs,
+    sent: bc.sent,
+    blocked: bc.blocked,
+    failed: bc.failed
+  });
+}
+
+async function updateBroadcastMessage(bc, force = false) {
+  if (!force && Date.now() - bc.lastEdit < BROADCAST_EDIT_MS) return;
+  bc.lastEdit = Date.now();
+  const kb =
+    bc.status === 'running'
+      ? Markup.inlineKeyboard([[Markup.button.callback(t(bc.locale, 'btn.stop'), `bcstop:${bc.id}`)]])
+      : Markup.inlineKeyboard([]);
+  await bot.telegram
+    .editMessageText(bc.adminChatId, bc.progressMsgId, undefined, broadcastReport(bc), kb)
+    .catch(() => {});
+}
+
+async function deliverBroadcast(chatId, bc) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      await sendBroadcastTo(chatId, bc);
+      return 'sent';
+    } catch (e) {
+      const code = e.response?.error_code;
+      const wait = e.parameters?.retry_after;
+      if (code === 429 && wait && attempt < BROADCAST_MAX_RETRIES) {
+        await sleep(wait * 1000);
+        continue;
+      }
+      // blocked the bot, deleted account, or a chat we can never reach
+      if (code === 403 || (code === 400 && /chat not found/i.test(e.message))) return 'blocked';
+      log.warn('Broadcast delivery failed', { chatId, err: e });
+      return 'failed';
+    }
+  }
+}
+
+async function runBroadcast(bc) {
+  const gap = 1000 / BROADCAST_PER_SEC;
+  for (const chatId of bc.audience) {
+    if (bc.status === 'cancelled') break;
+    const started = Date.now();
+
+    const result = await deliverBroadcast(chatId, bc);
+    bc[result] += 1;
+    bc.done += 1;
+    if (result === 'blocked') {
+      const u = userState.get(chatId);
+      if (u) u.blockedBot = Date.now();
+      markDirty();
+    }
+
+    await updateBroadcastMessage(bc);
+    const spent = Date.now() - started;
+    if (spent < gap) await sleep(gap - spent);
+  }
+
+  if (bc.status !== 'cancelled') bc.status = 'done';
+  bc.finishedAt = Date.now();
+  await updateBroadcastMessage(bc, true);
+  log.info('Broadcast finished', {
+    broadcastId: bc.id,
+    sent: bc.sent,
+    blocked: bc.blocked,
+    failed: bc.failed
+  });
+}
+
+async function startBroadcast(ctx, bc) {
+  Object.assign(bc, {
+    status: 'running',
+    audience: broadcastAudience(bc.filters),
+    done: 0,
+    sent: 0,
+    blocked: 0,
+    failed: 0,
+    startedAt: Date.now(),
+    lastEdit: 0
+  });
+  const msg = await ctx.reply(broadcastReport(bc));
+  bc.progressMsgId = msg.message_id;
+  runBroadcast(bc)
+    .catch((e) => log.error('Broadcast crashed', { broadcastId: bc.id, err: e }))
+    .finally(() => broadcasts.delete(bc.id));
+}
+
+/* ------------------------------------------------------------------ */
+/*  RECOMMENDATIONS + DIGESTS                                          */
+/* ------------------------------------------------------------------ */
+
+// "For You": the songs a user downloaded, favorited or opened become
+// seeds, each seed's suggestions vote for a track, most votes win.
+// Digests send the same mix on a schedule checked once a minute.
+
+const MIX_SEEDS = 5;
+const MIX_SIZE = 15;
+const MIX_PER_ARTIST = 2;
+const RECENT_USER_DOWNLOADS = 50;
+const DIGEST_TICK_MS = 60 * 1000;
+const DIGEST_MIN_GAP = { daily: 20 * HOUR, weekly: 6 * 24 * HOUR };
+const DIGEST_WEEKDAY = 'Sun';
+const DIGEST_HOURS = [7, 9, 12, 18, 21];
+const DIGEST_ZONES = [
+  ['India', 'Asia/Kolkata'],
+  ['UTC', 'UTC'],
+  ['Dubai', 'Asia/Dubai'],
+  ['London', 'Europe/London'],
+  ['New York', 'America/New_York'],
+  ['Los Angeles', 'America/Los_Angeles']
+];
+
+function newDigest() {
+  return { frequency: null, hour: 9, tz: 'Asia/Kolkata', lastSentAt: null };
+}
+
+// private chats only: there chatId is the user id
+function rememberUserDownload(chatId, song) {
+  const u = userState.get(chatId);
+  if (!u) return;
+  u.downloads = [
+    { id: song.id, name: song.name || 'Unknown', at: Date.now() },
+    ...u.downloads.filter((d) => d.id !== song.id)
+  ].slice(0, RECENT_USER_DOWNLOADS);
+}
+
+// downloads count most, then favorites, then songs just opened; the
+// newer the better
+function mixSeeds(u) {
+  const seeds = new Map();
+  const add = (list, weight) => {
+    list.forEach((item, i) => {
+      if (!item?.id) return;
+      const seed = seeds.get(item.id) || { id: item.id, name: item.name, score: 0 };
+      seed.score += weight / (1 + i * 0.2);
+      seeds.set(item.id, seed);
+    });
+  };
+  add(u.downloads, 3);
+  add(u.favorites, 2);
+  add(u.history.filter((h) => h.type === 'song').map((h) => h.item), 1);
+  return [...seeds.values()].sort((a, b) => b.score - a.score).slice(0, MIX_SEEDS);
+}
+
+function suggestionList(data) {
+  return Array.isArray(data) ? data : data?.data || data?.results || [];
+}
+
+async function buildMix(u) {
+  const seeds = mixSeeds(u);
+  if (!seeds.length) return { seeds, songs: [] };
+
+  const known = new Set([
+    ...seeds.map((s) => s.id),
+    ...u.downloads.map((d) => d.id),
+    ...u.favorites.map((s) => s.id)
+  ]);
+  const lists = await Promise.all(
+    seeds.map((seed) => Saavn.songSuggestions(seed.id).then(suggestionList).catch(() => []))
+  );
+
+  const votes = new Map(); // Map<songId, {song, score}>
+  lists.forEach((list, seedIdx) => {
+    list.forEach((song, rank) => {
+      if (!song?.id || known.has(song.id)) return;
+      const entry = votes.get(song.id) || { song, score: 0 };
+      // agreeing seeds add up, strong seeds and top ranks weigh more
+      entry.score += seeds[seedIdx].score / (1 + rank * 0.1);
+      votes.set(song.id, entry);
+    });
+  });
+
+  const perArtist = new Map();
+  const songs = [];
+  for (const { song } of [...votes.values()].sort((a, b) => b.score - a.score)) {
+    const artist = songArtist(song);
+    if ((perArtist.get(artist) || 0) >= MIX_PER_ARTIST) continue;
+    perArtist.set(artist, (perArtist.get(artist) || 0) + 1);
+    songs.push(songSummary(song));
+    if (songs.length >= MIX_SIZE) break;
+  }
+  return { seeds, songs };
+}
+
+function mixMessage(locale, mix, titleKey) {
+  const lines = mix.songs.map((s, i) => `${i + 1}\\. ${renderSongLine(s)}`);
+  const text =
+    `*${tmd(locale, titleKey)}*\n` +
+    `${tmd(locale, 'mix.basedOn', { names: mix.seeds.map((s) => s.name).join(', ') })}\n\n` +
+    lines.join('\n');
+
+  const buttons = mix.songs.map((s) =>
+    Markup.button.callback(`▶ ${s.name.slice(0, 16)}`, `song:${s.id}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  rows.push([
+    Markup.button.callback(t(locale, 'btn.downloadAll'), 'mixdl'),
+    Markup.button.callback(t(locale, 'btn.zip'), 'mixzip')
+  ]);
+  rows.push([
+    Markup.button.callback(t(locale, 'btn.refreshMix'), 'mixnew'),
+    Markup.button.callback(t(locale, 'btn.digest'), 'digest')
+  ]);
+  return { text, extra: { parse_mode: 'MarkdownV2', ...Markup.inlineKeyboard(rows) } };
+}
+
+async function showForYou(ctx) {
+  const u = getUser(ctx);
+  if (!mixSeeds(u).length) return ctx.reply(ctx.t('mix.empty'));
+  const mix = await buildMix(u);
+  if (!mix.songs.length) return ctx.reply(ctx.t('mix.none'));
+  u.forYou = { songs: mix.songs, at: Date.now() };
+  const { text, extra } = mixMessage(userLocale(ctx), mix, 'mix.title');
+  return ctx.reply(text, extra);
+}
+
+/* ---------- digest subscriptions ---------- */
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function localClock(tz, at = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(at);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return { hour: Number(get('hour')), weekday: get('weekday') };
+}
+
+function digestDue(u, now = Date.now()) {
+  const d = u.digest;
+  if (!d?.frequency) return false;
+  if (d.lastSentAt && now - d.lastSentAt < DIGEST_MIN_GAP[d.frequency]) return false;
+  const clock = localClock(d.tz, new Date(now));
+  if (clock.hour !== d.hour) return false;
+  return d.frequency === 'daily' || clock.weekday === DIGEST_WEEKDAY;
+}
+
+function digestText(locale, d) {
+  return t(locale, 'digest.title', {
+    status: t(locale, `digest.status.${d.frequency || 'off'}`),
+    hour: String(d.hour).padStart(2, '0'),
+    tz: d.tz
+  });
+}
+
+function digestKeyboard(locale, d) {
+  const mark = (on) => (on ? '✅ ' : '');
+  const zones = DIGEST_ZONES.map(([label, tz]) =>
+    Markup.button.callback(`${mark(d.tz === tz)}${label}`, `dg:tz|${tz}`)
+  );
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(`${mark(!d.frequency)}${t(locale, 'btn.digestOff')}`, 'dg:freq|off'),
+      Markup.button.callback(`${mark(d.frequency === 'daily')}${t(locale, 'btn.digestDaily')}`, 'dg:freq|daily'),
+      Markup.button.callback(`${mark(d.frequency === 'weekly')}${t(locale, 'btn.digestWeekly')}`, 'dg:freq|weekly')
+    ],
+    DIGEST_HOURS.map((h) => Markup.button.callback(`${mark(d.hour === h)}${h}:00`, `dg:hour|${h}`)),
+    zones.slice(0, 3),
+    zones.slice(3)
+  ]);
+}
+
+function showDigestSettings(ctx) {
+  const u = getUser(ctx);
+  u.digest = u.digest || newDigest();
+  const locale = userLocale(ctx);
+  return replyOrEdit(ctx, digestText(locale, u.digest), digestKeyboard(locale, u.digest));
+}
+
+function applyDigestSetting(u, key, value) {
+  u.digest = u.digest || newDigest();
+  if (key === 'freq') u.digest.frequency = value === 'off' ? null : value;
+  if (key === 'hour' && DIGEST_HOURS.includes(Number(value))) u.digest.hour = Number(value);
+  if (key === 'tz' && isValidTimeZone(value)) u.digest.tz = value;
+}
+
+async function sendDigest(userId, u) {
+  const mix = await buildMix(u);
+  if (!mix.songs.length) return false;
+  u.forYou = { songs: mix.songs, at: Date.now() };
+  const locale = localeFor(u);
+  const titleKey = u.digest.frequency === 'weekly' ? 'mix.weeklyTitle' : 'mix.dailyTitle';
+  const { text, extra } = mixMessage(locale, mix, titleKey);
+  await bot.telegram.sendMessage(userId, text, extra);
+  return true;
+}
+
+let digestRunning = false;
+
+async function runDigests() {
+  if (digestRunning) return; // a slow round must not overlap the next tick
+  digestRunning = true;
+  let sent = 0;
+  try {
+    for (const [userId, u] of userState) {
+      if (bannedUsers.has(userId) || u.blockedBot || !digestDue(u)) continue;
+      // stamp first: a failing send shouldn't be retried every minute
+      u.digest.lastSentAt = Date.now();
+      markDirty();
+      try {
+        if (await sendDigest(userId, u)) sent += 1;
+      } catch (e) {
+        if (e.response?.error_code === 403) u.blockedBot = Date.now();
+        else log.warn('Digest delivery failed', { userId, err: e });
+      }
+      await sleep(1000 / BROADCAST_PER_SEC);
+    }
+  } finally {
+    digestRunning = false;
+  }
+  if (sent) log.info('Digests sent', { sent });
+}
+
+setInterval(() => {
+  runDigests().catch((e) => log.error('Digest round crashed', { err: e }));
+}, DIGEST_TICK_MS).unref();
+
+/* ------------------------------------------------------------------ */
+/*  BOT COMMANDS                                                       */
+/* ------------------------------------------------------------------ */
+
+bot.start(async (ctx) => {
+  globalStats.users.add(ctx.from.id);
+  markDirty();
+  if (isGroupChat(ctx)) return ctx.reply(ctx.t('group.help', { bot: ctx.me }));
+
+  // deep links from inline results: t.me/<bot>?start=album_<id>
+  const deepLink = ctx.payload?.match(/^(song|album|playlist|artist)_(.+)$/);
+  if (deepLink) {
+    const [, type, id] = deepLink;
+    if (type === 'song') return showSongDetail(ctx, id);
+    if (type === 'album') return showAlbumDetail(ctx, id);
+    if (type === 'artist') return showArtistDetail(ctx, id);
+    return showPlaylistDetail(ctx, id);
+  }
+
+  await ctx.reply(ctx.tmd('start', { name: ctx.from.first_name || '' }), {
+    parse_mode: 'MarkdownV2',
+    ...mainKeyboard(userLocale(ctx))
+  });
+});
+
+bot.help(async (ctx) => {
+  // no reply keyboard in groups, it would pop up for every member
+  if (isGroupChat(ctx)) return ctx.reply(ctx.t('group.help', { bot: ctx.me }));
+  await ctx.reply(ctx.t('help', { bot: ctx.me }), mainKeyboard(userLocale(ctx)));
+});
+
+// /song and /album work everywhere, they are the way in for groups
+for (const type of ['song', 'album']) {
+  bot.command(type, async (ctx) => {
+    const query = ctx.payload?.trim();
+    if (!query) return ctx.reply(ctx.t(`group.usage.${type}`));
+    return performSearch(ctx, type, query, 0);
+  });
+}
+
+bot.command('queue', async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(ctx.t('group.only'));
+  return showQueue(ctx);
+});
+
+bot.command('groupsettings', async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.reply(ctx.t('group.only'));
+  if (!(await isChatAdmin(ctx))) return ctx.reply(ctx.t('group.adminOnly'));
+  const g = getGroup(ctx.chat.id);
+  return ctx.reply(groupSettingsText(ctx, g), groupSettingsKeyboard(ctx, g));
+});
+
+bot.command('foryou', (ctx) => showForYou(ctx));
+
+bot.command('digest', (ctx) => showDigestSettings(ctx));
+
+bot.command('import', (ctx) => {
+  const u = getUser(ctx);
+  u.mode = 'await_import';
+  return ctx.reply(ctx.t('import.prompt', { max: MAX_IMPORT_TRACKS }));
+});
+
+bot.command('timezone', async (ctx) => {
+  const tz = ctx.payload?.trim();
+  if (!tz || !isValidTimeZone(tz)) return ctx.reply(ctx.t('digest.tzBad'));
+  const u = getUser(ctx);
+  // store the canonical spelling, "asia/kolkata" becomes "Asia/Kolkata"
+  applyDigestSetting(u, 'tz', new Intl.DateTimeFormat('en', { timeZone: tz }).resolvedOptions().timeZone);
+  await ctx.reply(ctx.t('digest.tzSet', { tz: u.digest.tz }));
+  return showDigestSettings(ctx);
+});
+
+function fileIdReuseRate() {
+  const total = globalStats.fileIdHits + globalStats.fileIdMisses;
+  return total ? Math.round((globalStats.fileIdHits / total) * 100) : 0;
+}
+
+bot.command('stats', async (ctx) => {
+  if (ADMIN_ID && ctx.from.id !== ADMIN_ID) return;
+  const msg = ctx.tmd('admin.stats', {
+    users: globalStats.users.size,
+    requests: globalStats.totalRequests,
+    downloads: globalStats.totalDownloads,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    coalesced: cacheStats.coalesced,
+    cacheRate: cacheHitRate(),
+    reused: globalStats.fileIdHits,
+    sends: globalStats.fileIdHits + globalStats.fileIdMisses,
+    reuseRate: fileIdReuseRate(),
+    cached: fileIdCache.size,
+    upstream: ctx.t(breaker.openUntil > Date.now() ? 'admin.upstreamOpen' : 'admin.upstreamOk')
+  });
+  await ctx.reply(msg, { parse_mode: 'MarkdownV2' });
+});
+
+bot.command('ban', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const [, rawId, ...reason] = ctx.message.text.split(/\s+/);
+  const id = Number(rawId);
+  if (!id) return ctx.reply(ctx.t('admin.banUsage'));
+  if (id === ADMIN_ID) return ctx.reply(ctx.t('admin.banSelf'));
+  bannedUsers.set(id, { at: Date.now(), reason: reason.join(' ') || null });
+  markDirty();
+  await ctx.reply(ctx.t('admin.banned', { id }));
+});
+
+bot.command('unban', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const id = Number(ctx.message.text.split(/\s+/)[1]);
+  if (!id) return ctx.reply(ctx.t('admin.unbanUsage'));
+  if (!bannedUsers.delete(id)) return ctx.reply(ctx.t('admin.notBanned', { id }));
+  offenders.delete(id);
+  markDirty();
+  await ctx.reply(ctx.t('admin.unbanned', { id }));
+});
+
+bot.command('offenders', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const top = [...offenders.entries()].sort((a, b) => b[1].hits - a[1].hits).slice(0, 15);
+  const lines = top.map(([id, o]) => {
+    const u = userState.get(id);
+    const who = u?.username ? `@${u.username}` : u?.firstName || '';
+    const ago = Math.round((Date.now() - o.lastAt) / 60000);
+    return ctx.t('admin.offenderLine', { id, who, hits: o.hits, category: o.category, ago });
+  });
+  const banned = [...bannedUsers.entries()].map(
+    ([id, b]) => `${id}${b.reason ? ` – ${b.reason}` : ''}`
+  );
+  await ctx.reply(
+    ctx.t('admin.offenders', {
+      offenders: lines.join('\n') || ctx.t('admin.none'),
+      count: banned.length,
+      banned: banned.join('\n') || ctx.t('admin.none')
+    })
+  );
+});
+
+// /broadcast [lang:hi] [active:7d] text…, or as a reply to any message
+// (photo, audio…) to copy that one. Lines like [Label](https://…) turn
+// into URL buttons. Nothing goes out before the admin confirms a preview.
+bot.command('broadcast', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const bc = parseBroadcast(ctx);
+  if (!bc) {
+    return ctx.reply(ctx.t('broadcast.usage'));
+  }
+  return previewBroadcast(ctx, bc);
+});
+
+/* ------------------------------------------------------------------ */
+/*  INLINE MODE                                                        */
+/* ------------------------------------------------------------------ */
+
+// `@GrooviaBot tum hi ho` in any chat: songs come back as audio results,
+// albums as articles linking into the bot. Telegram's opaque `offset`
+// string is just our page number.
+
+const INLINE_SONGS_PER_PAGE = 10;
+const INLINE_ALBUMS_PER_PAGE = 3;
+
+function deepLink(ctx, type, id) {
+  return `https://t.me/${ctx.me}?start=${type}_${id}`;
+}
+
+function inlineSongResult(ctx, song, quality) {
+  const artist = songArtist(song);
+  const common = {
+    type: 'audio',
+    id: `s${song.id}`,
+    caption: `🎵 ${song.name || 'Unknown'}\n👤 ${artist}`,
+    ...Markup.inlineKeyboard([
+      [Markup.button.url(ctx.t('btn.openSong'), deepLink(ctx, 'song', song.id))]
+    ])
+  };
+
+  // a file Telegram already has beats a CDN url it has to fetch
+  const fileId = fileIdCache.get(fileIdKey(song.id, quality));
+  if (fileId) return { ...common, audio_file_id: fileId };
+
+  const url = chooseDownloadUrl(song, quality);
+  if (!url) return null;
+  return {
+    ...common,
+    audio_url: url,
+    title: song.name || 'Unknown',
+    performer: artist,
+    audio_duration: Number(song.duration) || undefined
+  };
+}
+
+function inlineAlbumResult(ctx, album) {
+  const title = album.name || album.title || 'Unknown album';
+  const artist = album.primaryArtists || album.artist || '';
+  const year = album.year ? ` • ${album.year}` : '';
+  return {
+    type: 'article',
+    id: `a${album.id}`,
+    title: `📀 ${title}`,
+    description: `${artist}${year}`,
+    thumbnail_url: imageUrl(album, '150x150'),
+    input_message_content: {
+      message_text: `📀 ${title}${artist ? `\n👤 ${artist}` : ''}${album.url ? `\n${album.url}` : ''}`
+    },
+    ...Markup.inlineKeyboard([
+      [Markup.button.url(ctx.t('btn.openAlbum'), deepLink(ctx, 'album', album.id))]
+    ])
+  };
+}
+
+bot.on('inline_query', async (ctx) => {
+  globalStats.users.add(ctx.from.id);
+  const query = ctx.inlineQuery.query.trim();
+  if (!query) {
+    return ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+  }
+
+  const u = getUser(ctx);
+  const page = Number(ctx.inlineQuery.offset) || 0;
+  // every query gets an answer, without one the client spins and shows
+  // nothing; failures are not cached for long
+  let failed = false;
+  const orNothing = (kind) => (e) => {
+    if (!(e instanceof SaavnNotFoundError)) {
+      failed = true;
+      log.warn('Inline search failed', { kind, err: e });
+    }
+    return {};
+  };
+  const [songRes, albumRes] = await Promise.all([
+    Saavn.searchSongs(query, page, INLINE_SONGS_PER_PAGE).catch(orNothing('songs')),
+    Saavn.searchAlbums(query, page, INLINE_ALBUMS_PER_PAGE).catch(orNothing('albums'))
+  ]);
+
+  const songs = songRes.results || [];
+  const albums = albumRes.results || [];
+  const results = [
+    ...songs.map((s) => inlineSongResult(ctx, s, u.quality)).filter(Boolean),
+    ...albums.map((a) => inlineAlbumResult(ctx, a))
+  ];
+
+  const songTotal = songRes.total || songRes.count || 0;
+  const albumTotal = albumRes.total || albumRes.count || 0;
+  const hasMore =
+    (page + 1) * INLINE_SONGS_PER_PAGE < songTotal ||
+    (page + 1) * INLINE_ALBUMS_PER_PAGE < albumTotal;
+
+  await ctx.answerInlineQuery(results, {
+    cache_time: failed ? 5 : 300,
+    // quality preference and cached file_ids differ per user
+    is_personal: true,
+    next_offset: hasMore && results.length ? String(page + 1) : ''
+  });
+});
+
+/* ------------------------------------------------------------------ */
+/*  TEXT HANDLER (MAIN BRAIN)                                         */
+/* ------------------------------------------------------------------ */
+
+// a single JioSaavn URL -> {type, link}, see src/links.js for the rest
+export function detectSaavnLink(url) {
+  const link = classifyLink(url.trim());
+  return link?.source === 'saavn' ? { type: link.type, link: link.url } : null;
+}
+
+async function openSaavnLink(ctx, { type, url }) {
+  if (type === 'song') {
+    const song = pickSong(await Saavn.songByLink(url));
+    if (!song) return ctx.reply(ctx.t('song.notFound'));
+    return showSongDetail(ctx, song.id);
+  }
+  if (type === 'album') {
+    const data = await Saavn.albumByLink(url);
+    const album = Array.isArray(data) ? data[0] : data;
+    if (!album) return ctx.reply(ctx.t('album.notFound'));
+    return showAlbumDetail(ctx, album.id);
+  }
+  if (type === 'playlist') {
+    const pl = await Saavn.playlistByLink(url);
+    if (!pl) return ctx.reply(ctx.t('playlist.notFound'));
+    return showPlaylistDetail(ctx, pl.id);
+  }
+  const artist = await Saavn.artistByLink(url);
+  if (!artist?.id) return ctx.reply(ctx.t('artist.notFound'));
+  return showArtistDetail(ctx, artist.id);
+}
+
+// Spotify / YouTube item -> closest JioSaavn song, album or playlist
+const EXTERNAL_SEARCH = {
+  song: {
+    search: (meta) => Saavn.searchSongs(`${meta.title} ${meta.artist}`.trim(), 0, 10),
+    describe: (s) => ({ title: s.name, artist: songArtist(s) }),
+    open: (ctx, s) => showSongDetail(ctx, s.id)
+  },
+  album: {
+    search: (meta) => Saavn.searchAlbums(meta.title, 0, 10),
+    describe: (a) => ({ title: a.name, artist: a.primaryArtists || a.artist || '' }),
+    open: (ctx, a) => showAlbumDetail(ctx, a.id)
+  },
+  playlist: {
+    search: (meta) => Saavn.searchPlaylists(meta.title, 0, 10),
+    describe: (p) => ({ title: p.name, artist: '' }),
+    open: (ctx, p) => showPlaylistDetail(ctx, p.id)
+  }
+};
+
+async function openExternalLink(ctx, link) {
+  const platform = PLATFORM_NAMES[link.source];
+  const meta = await externalMeta(link).catch((e) => {
+    log.warn('oEmbed lookup failed', { url: link.url, err: e });
+    return null;
+  });
+  if (!meta?.title) return ctx.reply(ctx.t('link.unreadable', { platform }));
+
+  const lookup = EXTERNAL_SEARCH[link.type];
+  const data = await lookup.search(meta).catch((e) => {
+    if (e instanceof SaavnNotFoundError) return {};
+    throw e;
+  });
+  // playlists are named freely, only the title can match
+  const query = link.type === 'playlist' ? { title: meta.title } : meta;
+  const match = bestMatch(query, data.results || [], lookup.describe);
+  const title = meta.artist ? `${meta.title} – ${meta.artist}` : meta.title;
+  if (!match) return ctx.reply(ctx.t('link.noMatch', { platform, title }));
+
+  await ctx.reply(ctx.t('link.matched', { platform, title }));
+  return lookup.open(ctx, match.item);
+}
+
+// links are opened one after the other so the cards arrive in order
+async function openLinks(ctx, links) {
+  if (links.length > MAX_LINKS_PER_MESSAGE) {
+    await ctx.reply(ctx.t('link.tooMany', { max: MAX_LINKS_PER_MESSAGE }));
+  }
+  for (const found of links.slice(0, MAX_LINKS_PER_MESSAGE)) {
+    const link = await resolveLink(found);
+    if (!link) {
+      await ctx.reply(ctx.t('link.unknown', { url: found.url }));
+      continue;
+    }
+    try {
+      if (link.source === 'saavn') await openSaavnLink(ctx, link);
+      else await openExternalLink(ctx, link);
+    } catch (e) {
+      // one dead link shouldn't swallow the others
+      if (links.length === 1) throw e;
+      log.warn('Link failed', { url: link.url, err: e });
+      await ctx.reply(friendlyError(e, userLocale(ctx)));
+    }
+  }
+}
+
+bot.on('text', async (ctx) => {
+  let text = ctx.message.text.trim();
+
+  // groups: only "@GrooviaBot tum hi ho" style mentions, always a song search
+  if (isGroupChat(ctx)) {
+    if (!mentionsBot(ctx, text)) return;
+    text = text.replace(new RegExp(`@${ctx.me}`, 'ig'), '').trim();
+    if (!text) return ctx.reply(ctx.t('group.help', { bot: ctx.me }));
+    globalStats.users.add(ctx.from.id);
+    return performSearch(ctx, 'song', text, 0);
+  }
+
+  globalStats.users.add(ctx.from.id);
+  const u = getUser(ctx);
+
+  // 1) music links anywhere in the message: JioSaavn, short links, Spotify, YouTube
+  const links = extractUrls(text).map(classifyLink).filter(Boolean);
+  if (links.length) {
+    return openLinks(ctx, links);
+  }
+
+  // 2) menu buttons, matched in every locale
+  const action = menuAction(text);
+  if (['song', 'album', 'playlist', 'artist'].includes(action)) {
+    u.mode = 'await_query';
+    u.searchType = action;
+    return ctx.reply(ctx.t(`prompt.${action}`));
+  }
+  if (action === 'settings') {
+    return ctx.reply(ctx.t('settings.prompt'), settingsKeyboard(u, userLocale(ctx)));
+  }
+  if (action === 'history') {
+    if (!u.history.length) return ctx.reply(ctx.t('history.empty'));
+    const lines = u.history.slice(0, 10).map((h) => {
+      const label =
+        h.type === 'song'
+          ? '🎵'
+          : h.type === 'album'
+          ? '📀'
+          : h.type === 'playlist'
+          ? '📂'
+          : '👤';
+      return `${label} ${escapeMd(h.item.name || '')}`;
+    });
+    return ctx.reply(lines.join('\n'), { parse_mode: 'MarkdownV2' });
+  }
+  if (action === 'library') {
+    return showLibrary(ctx);
+  }
+  if (action === 'foryou') {
+    return showForYou(ctx);
+  }
+  if (action === 'trending') {
+    // you can pick some known playlist ID for trending
+    const trendingId = '110858205'; // example
+    return showPlaylistDetail(ctx, trendingId);
+  }
+
+  // 3) naming a playlist from the library screens
+  if (u.mode === 'await_playlist_name' || u.mode === 'await_playlist_rename') {
+    return handleLibraryInput(ctx, text);
+  }
+
+  // 4) picking tracks of an album / playlist to download
+  if (u.mode === 'await_track_range') {
+    return handleTrackRangeInput(ctx, text);
+  }
+
+  // 5) typing an artist / album for the filter editor
+  if (u.mode === 'await_filter') {
+    return handleFilterInput(ctx, text);
+  }
+
+  // 6) if we are waiting for a query for some type
+  if (u.mode === 'await_query' && u.searchType) {
+    return performSearch(ctx, u.searchType, text, 0);
+  }
+
+  // 7) default: songs, albums, playlists and artists at once
+  return performAllSearch(ctx, text);
+});
+
+// playlist files for /import; anything else sent as a file is ignored
+bot.on('document', async (ctx) => {
+  if (isGroupChat(ctx)) return;
+  const file = ctx.message.document;
+  if (isImportFile(file.file_name)) return runImport(ctx, file);
+  if (getUser(ctx).mode === 'await_import') return ctx.reply(ctx.t('import.badType'));
+});
+
+/* ------------------------------------------------------------------ */
+/*  CALLBACK HANDLERS (INLINE BUTTONS)                                */
+/* ------------------------------------------------------------------ */
+
+bot.action(/^song:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const id = ctx.match[1];
+  return showSongDetail(ctx, id);
+});
+
+bot.action(/^album:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const id = ctx.match[1];
+  return showAlbumDetail(ctx, id);
+});
+
+bot.action(/^playlist:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const id = ctx.match[1];
+  return showPlaylistDetail(ctx, id);
+});
+
+bot.action(/^artist:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showArtistDetail(ctx, ctx.match[1]);
+});
+
+// "artsongs:<id>" from older messages means page 0
+bot.action(/^art(songs|albums):([^|]+)(?:\|(\d+))?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showArtistList(ctx, ctx.match[1], ctx.match[2], Number(ctx.match[3]) || 0);
+});
+
+bot.action(/^artsim:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showSimilarArtists(ctx, ctx.match[1]);
+});
+
+bot.action(/^artdl:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery(ctx.t('bulk.queued'));
+  return downloadArtistTop(ctx, ctx.match[1]);
+});
+
+// pagination
+bot.action(/^page:(song|album|playlist|artist)\|([^|]+)\|(\d+)/, async (ctx) => {
+  const type = ctx.match[1];
+  const query = queryFromToken(ctx.match[2]);
+  const page = Number(ctx.match[3]);
+  if (query === null) return ctx.answerCbQuery(ctx.t('filter.expired'));
+  await ctx.answerCbQuery();
+  return performSearch(ctx, type, query, page);
+});
+
+// search filters
+bot.action(/^sfilt:(song|album|playlist|artist)\|(.+)/, async (ctx) => {
+  const query = queryFromToken(ctx.match[2]);
+  if (query === null) return ctx.answerCbQuery(ctx.t('filter.expired'));
+  await ctx.answerCbQuery();
+  const draft = { type: ctx.match[1], ...parseSearchQuery(query) };
+  getUser(ctx).searchDraft = draft;
+  // a fresh message, the results stay where they are
+  const locale = userLocale(ctx);
+  return ctx.reply(filterEditorText(locale, draft), {
+    parse_mode: 'MarkdownV2',
+    ...filterEditorKeyboard(locale, draft)
+  });
+});
+
+bot.action(/^sf:(lang|year|duration|artist|album)\|(.*)$/, async (ctx) => {
+  const draft = getUser(ctx).searchDraft;
+  if (!draft) return ctx.answerCbQuery(ctx.t('filter.expired'));
+  setDraftFilter(draft, ctx.match[1], ctx.match[2]);
+  await ctx.answerCbQuery();
+  return showFilterEditor(ctx);
+});
+
+bot.action(/^sfask:(artist|album)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = getUser(ctx);
+  u.mode = 'await_filter';
+  u.pendingFilter = ctx.match[1];
+  return ctx.reply(ctx.t(`filter.ask.${ctx.match[1]}`));
+});
+
+bot.action('sfclear', async (ctx) => {
+  const draft = getUser(ctx).searchDraft;
+  if (!draft) return ctx.answerCbQuery(ctx.t('filter.expired'));
+  draft.filters = {};
+  await ctx.answerCbQuery();
+  return showFilterEditor(ctx);
+});
+
+bot.action('sfgo', async (ctx) => {
+  const draft = getUser(ctx).searchDraft;
+  if (!draft) return ctx.answerCbQuery(ctx.t('filter.expired'));
+  await ctx.answerCbQuery();
+  return performSearch(ctx, draft.type, formatSearchQuery(draft), 0);
+});
+
+// download
+bot.action(/^dl:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery(ctx.t('download.started'));
+  const id = ctx.match[1];
+  return handleDownloadSong(ctx, id);
+});
+
+// download all / zip of a playlist or album, every API page of it
+bot.action(/^(pl|ab)(dl|zip):(.+)/, async (ctx) => {
+  const [, kind, action, id] = ctx.match;
+  await ctx.answerCbQuery(ctx.t(action === 'zip' ? 'bulk.zipping' : 'bulk.queued'));
+  const { title, total, songs } = await fetchAllTracks(kind, id);
+  if (!songs.length) return ctx.reply(ctx.t(TRACK_SOURCES[kind].notFound));
+  return enqueueBulkDownload(ctx, title, songs, {
+    format: action === 'zip' ? 'zip' : 'audio',
+    total
+  });
+});
+
+// album / playlist track pages
+bot.action(/^trk:(pl|ab)\|([^|]+)\|(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showTrackPage(ctx, ctx.match[1], ctx.match[2], Number(ctx.match[3]), true);
+});
+
+bot.action(/^tjump:(pl|ab)\|([^|]+)\|(\d+)/, async (ctx) => {
+  const [, kind, id, current] = ctx.match;
+  const data = await fetchTrackPage(kind, id, 0);
+  if (!data) return ctx.answerCbQuery(ctx.t(TRACK_SOURCES[kind].notFound));
+  await ctx.answerCbQuery();
+  const totalPages = Math.max(1, Math.ceil(data.total / TRACK_PAGE_SIZE));
+  await ctx
+    .editMessageReplyMarkup(jumpKeyboard(ctx, kind, id, Number(current), totalPages).reply_markup)
+    .catch(() => {});
+});
+
+bot.action(/^trange:(pl|ab)\|(.+)/, async (ctx) => {
+  const [, kind, id] = ctx.match;
+  const data = await fetchTrackPage(kind, id, 0);
+  if (!data) return ctx.answerCbQuery(ctx.t(TRACK_SOURCES[kind].notFound));
+  await ctx.answerCbQuery();
+  const u = getUser(ctx);
+  u.mode = 'await_track_range';
+  u.pendingTracks = { kind, id, total: data.total };
+  return ctx.reply(ctx.t('tracks.askRange', { total: data.total }));
+});
+
+bot.action(/^trdl:(pl|ab)\|([^|]+)\|(\d+)\|(\d+)\|(audio|zip)/, async (ctx) => {
+  const [, kind, id, from, to, format] = ctx.match;
+  await ctx.answerCbQuery(ctx.t(format === 'zip' ? 'bulk.zipping' : 'bulk.queued'));
+  // never fetch more than a job would take
+  const last = Math.min(Number(to), Number(from) + MAX_BULK_SONGS - 1);
+  const { title, songs } = await fetchTrackRange(kind, id, Number(from), last);
+  await ctx.deleteMessage().catch(() => {});
+  return enqueueBulkDownload(ctx, ctx.t('tracks.rangeTitle', { title, from, to }), songs, {
+    format,
+    total: Number(to) - Number(from) + 1
+  });
+});
+
+// bulk job controls
+bot.action(/^jobcancel:(\d+)/, async (ctx) => {
+  const job = jobs.get(Number(ctx.match[1]));
+  if (!job || job.userId !== ctx.from.id) {
+    return ctx.answerCbQuery(ctx.t('job.inactive'));
+  }
+  cancelJob(job);
+  await ctx.answerCbQuery(ctx.t('job.cancelling'));
+  await updateJobMessage(job, true);
+});
+
+bot.action(/^jobretry:(\d+)/, async (ctx) => {
+  const job = jobs.get(Number(ctx.match[1]));
+  if (!job || job.userId !== ctx.from.id || !job.failed.length) {
+    return ctx.answerCbQuery(ctx.t('job.noRetry'));
+  }
+  await ctx.answerCbQuery(ctx.t('job.retrying'));
+  const retry = job.failed;
+  job.failed = [];
+  await updateJobMessage(job, true);
+  return enqueueBulkDownload(ctx, ctx.t('job.retryTitle', { title: job.title }), retry, {
+    format: job.format
+  });
+});
+
+// personal library
+bot.action('lib', async (ctx) => {
+  await ctx.answerCbQuery();
+  return showLibrary(ctx);
+});
+
+bot.action(/^ulist:([^|]+)\|(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showUserList(ctx, ctx.match[1], Number(ctx.match[2]));
+});
+
+bot.action(/^uedit:([^|]+)\|(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showUserList(ctx, ctx.match[1], Number(ctx.match[2]), true);
+});
+
+bot.action(/^fav:(.+)/, async (ctx) => {
+  const id = ctx.match[1];
+  const added = await toggleFavorite(ctx, id);
+  await ctx.answerCbQuery(ctx.t(added ? 'lib.favAdded' : 'lib.favRemoved'));
+  await ctx
+    .editMessageReplyMarkup(
+      songDetailKeyboard(getUser(ctx), id, userLocale(ctx), isGroupChat(ctx)).reply_markup
+    )
+    .catch(() => {});
+});
+
+bot.action(/^upladd:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const songId = ctx.match[1];
+  const u = getUser(ctx);
+  const rows = u.playlists.map((p) => [
+    Markup.button.callback(`📂 ${p.name.slice(0, 24)} (${p.songs.length})`, `uadd:${p.id}|${songId}`)
+  ]);
+  rows.push([Markup.button.callback(ctx.t('lib.newPlaylist'), `uplnew:${songId}`)]);
+  return ctx.reply(ctx.t('lib.pickPlaylist'), Markup.inlineKeyboard(rows));
+});
+
+bot.action(/^uadd:([^|]+)\|(.+)/, async (ctx) => {
+  const list = await addToPlaylist(ctx, ctx.match[1], ctx.match[2]);
+  await ctx.answerCbQuery(ctx.t('lib.added', { name: list.name }));
+  await ctx.deleteMessage().catch(() => {});
+});
+
+bot.action(/^uplnew(?::(.+))?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = getUser(ctx);
+  u.mode = 'await_playlist_name';
+  u.pendingSongId = ctx.match[1] || null;
+  return ctx.reply(ctx.t('lib.askName'));
+});
+
+bot.action(/^uren:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = getUser(ctx);
+  u.mode = 'await_playlist_rename';
+  u.pendingListId = ctx.match[1];
+  return ctx.reply(ctx.t('lib.askRename'));
+});
+
+bot.action(/^udel:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const list = getList(getUser(ctx), ctx.match[1]);
+  if (!list || list.builtin) return ctx.reply(ctx.t('playlist.notFound'));
+  return ctx.reply(
+    ctx.t('lib.confirmDelete', { name: list.name }),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(ctx.t('btn.confirmDelete'), `udelok:${list.id}`),
+        Markup.button.callback(ctx.t('btn.keep'), `ulist:${list.id}|0`)
+      ]
+    ])
+  );
+});
+
+bot.action(/^udelok:(.+)/, async (ctx) => {
+  const u = getUser(ctx);
+  u.playlists = u.playlists.filter((p) => p.id !== ctx.match[1]);
+  await ctx.answerCbQuery(ctx.t('lib.deleted'));
+  return showLibrary(ctx);
+});
+
+bot.action(/^urm:([^|]+)\|(.+)/, async (ctx) => {
+  const list = getList(getUser(ctx), ctx.match[1]);
+  if (!list) return ctx.answerCbQuery(ctx.t('lib.notFound'));
+  const idx = list.songs.findIndex((s) => s.id === ctx.match[2]);
+  if (idx !== -1) list.songs.splice(idx, 1);
+  await ctx.answerCbQuery(ctx.t('lib.removed'));
+  return showUserList(ctx, list.id, Math.floor(idx / LIB_PAGE_SIZE), true);
+});
+
+bot.action(/^umv:([^|]+)\|([^|]+)\|(up|down)/, async (ctx) => {
+  const list = getList(getUser(ctx), ctx.match[1]);
+  if (!list) return ctx.answerCbQuery(ctx.t('lib.notFound'));
+  const idx = moveSong(list, ctx.match[2], ctx.match[3]);
+  await ctx.answerCbQuery();
+  return showUserList(ctx, list.id, Math.floor(Math.max(0, idx) / LIB_PAGE_SIZE), true);
+});
+
+bot.action(/^u(dl|zip):(.+)/, async (ctx) => {
+  const list = getList(getUser(ctx), ctx.match[2]);
+  if (!list || !list.songs.length) return ctx.answerCbQuery(ctx.t('lib.empty'));
+  await ctx.answerCbQuery(ctx.t('bulk.queued'));
+  return enqueueBulkDownload(ctx, list.name, list.songs, {
+    format: ctx.match[1] === 'zip' ? 'zip' : 'audio'
+  });
+});
+
+bot.action('import', async (ctx) => {
+  await ctx.answerCbQuery();
+  getUser(ctx).mode = 'await_import';
+  return ctx.reply(ctx.t('import.prompt', { max: MAX_IMPORT_TRACKS }));
+});
+
+bot.action(/^imrev:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showImportReview(ctx, Number(ctx.match[1]));
+});
+
+bot.action(/^imfix:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showImportEntry(ctx, Number(ctx.match[1]));
+});
+
+bot.action(/^impick:(\d+)\|(-?\d+)$/, async (ctx) => {
+  const idx = Number(ctx.match[1]);
+  if (!pickImportMatch(getUser(ctx), idx, Number(ctx.match[2]))) {
+    return ctx.answerCbQuery(ctx.t('import.expired'));
+  }
+  await ctx.answerCbQuery();
+  return showImportReview(ctx, Math.floor(idx / IMPORT_PAGE_SIZE));
+});
+
+bot.action('imsave', async (ctx) => {
+  const { list, skipped } = saveImport(getUser(ctx));
+  await ctx.answerCbQuery();
+  await ctx.reply(ctx.t('import.saved', { name: list.name, count: list.songs.length, skipped }));
+  return showUserList(ctx, list.id, 0);
+});
+
+bot.action('imcancel', async (ctx) => {
+  getUser(ctx).pendingImport = null;
+  await ctx.answerCbQuery();
+  return replyOrEdit(ctx, ctx.t('import.cancelled'));
+});
+
+// group queue
+bot.action(/^gq:(.+)/, async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.answerCbQuery(ctx.t('group.only'));
+  const pos = await queueSong(ctx, ctx.match[1]);
+  await ctx.answerCbQuery(ctx.t('group.queued', { pos }));
+});
+
+bot.action('gqueue', async (ctx) => {
+  await ctx.answerCbQuery();
+  if (!isGroupChat(ctx)) return;
+  return showQueue(ctx);
+});
+
+bot.action('gnext', async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.answerCbQuery();
+  const g = getGroup(ctx.chat.id);
+  const votes = await voteSkip(ctx, g);
+  if (votes !== null) {
+    await ctx.answerCbQuery(ctx.t('group.skipVoted', { votes, needed: g.settings.votesNeeded }));
+    return showQueue(ctx);
+  }
+  if (!g.queue.length) {
+    g.nowPlaying = null;
+    await ctx.answerCbQuery(ctx.t('group.queueEmpty'));
+    return showQueue(ctx);
+  }
+  await ctx.answerCbQuery(ctx.t('group.playing'));
+  await playNext(ctx, g);
+  return showQueue(ctx);
+});
+
+bot.action(/^gpin:(\d+)/, async (ctx) => {
+  if (!isGroupChat(ctx)) return ctx.answerCbQuery();
+  const g = getGroup(ctx.chat.id);
+  const votes = await votePin(ctx, g, Number(ctx.match[1]));
+  await ctx.answerCbQuery(
+    votes === null
+      ? ctx.t('group.pinned')
+      : ctx.t('group.pinVoted', { votes, needed: g.settings.votesNeeded })
+  );
+  return showQueue(ctx);
+});
+
+bot.action(/^gset:(quality|bulk|votes)\|(\w+)/, async (ctx) => {
+  if (!isGroupChat(ctx) || !(await isChatAdmin(ctx))) {
+    return ctx.answerCbQuery(ctx.t('group.adminOnly'));
+  }
+  const g = getGroup(ctx.chat.id);
+  applyGroupSetting(g, ctx.match[1], ctx.match[2]);
+  await ctx.answerCbQuery(ctx.t('group.settingsSaved'));
+  await ctx
+    .editMessageText(groupSettingsText(ctx, g), groupSettingsKeyboard(ctx, g))
+    .catch(() => {}); // same option tapped twice
+});
+
+// broadcasts (admin only)
+bot.action(/^bc(send|cancel|stop):(\d+)/, async (ctx) => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery();
+  const bc = broadcasts.get(Number(ctx.match[2]));
+  if (!bc) return ctx.answerCbQuery(ctx.t('broadcast.expired'));
+  const action = ctx.match[1];
+
+  if (action === 'send') {
+    if (bc.status !== 'preview') return ctx.answerCbQuery(ctx.t('broadcast.alreadySent'));
+    await ctx.answerCbQuery(ctx.t('broadcast.sending'));
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    return startBroadcast(ctx, bc);
+  }
+
+  if (bc.status === 'preview') {
+    broadcasts.delete(bc.id);
+    await ctx.answerCbQuery(ctx.t('broadcast.cancelledToast'));
+    return ctx.editMessageText(ctx.t('broadcast.cancelledPreview')).catch(() => {});
+  }
+  if (bc.status === 'running') {
+    bc.status = 'cancelled';
+    return ctx.answerCbQuery(ctx.t('broadcast.stopping'));
+  }
+  return ctx.answerCbQuery();
+});
+
+// lyrics
+bot.action(/^lyr:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  return showLyrics(ctx, ctx.match[1]);
+});
+
+// similar
+bot.action(/^similar:(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const id = ctx.match[1];
+  const results = suggestionList(await Saavn.songSuggestions(id));
+  if (!results.length) return ctx.reply(ctx.t('similar.none'));
+
+  const lines = results.slice(0, 10).map((s, i) => `${i + 1}. ${renderSongLine(s)}`);
+  const buttons = results.slice(0, 10).map((s) =>
+    Markup.button.callback(`▶ ${s.name.slice(0, 16)}`, `song:${s.id}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  await ctx.reply(`*${ctx.tmd('similar.title')}*:`, {
+    parse_mode: 'MarkdownV2',
+    ...Markup.inlineKeyboard(rows)
+  });
+});
+
+// for you mix + digest settings
+bot.action('mixnew', async (ctx) => {
+  await ctx.answerCbQuery();
+  return showForYou(ctx);
+});
+
+bot.action(/^mix(dl|zip)$/, async (ctx) => {
+  const u = getUser(ctx);
+  // after a restart the mix behind an old digest message is gone
+  if (!u.forYou && !(await spendTokens(ctx, 'mix'))) return;
+  const songs = u.forYou?.songs || (await buildMix(u)).songs;
+  if (!songs.length) return ctx.answerCbQuery(ctx.t('mix.none'));
+  await ctx.answerCbQuery(ctx.t('bulk.queued'));
+  return enqueueBulkDownload(ctx, ctx.t('mix.jobTitle'), songs, {
+    format: ctx.match[1] === 'zip' ? 'zip' : 'audio'
+  });
+});
+
+bot.action('digest', async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = getUser(ctx);
+  u.digest = u.digest || newDigest();
+  const locale = userLocale(ctx);
+  return ctx.reply(digestText(locale, u.digest), digestKeyboard(locale, u.digest));
+});
+
+bot.action(/^dg:(freq|hour|tz)\|(.+)$/, async (ctx) => {
+  applyDigestSetting(getUser(ctx), ctx.match[1], ctx.match[2]);
+  await ctx.answerCbQuery(ctx.t('digest.saved'));
+  return showDigestSettings(ctx);
+});
+
+// settings quality
+bot.action(/^q:(96|160|320)/, async (ctx) => {
+  const q = ctx.match[1];
+  const u = getUser(ctx);
+  u.quality = q;
+  await ctx.editMessageReplyMarkup(settingsKeyboard(u, userLocale(ctx)).reply_markup);
+  await ctx.answerCbQuery(ctx.t('settings.qualitySet', { quality: q }));
+});
+
+// settings language, "auto" goes back to Telegram's language
+bot.action(/^lang:(en|hi|hinglish|auto)$/, async (ctx) => {
+  const u = getUser(ctx);
+  u.lang = ctx.match[1] === 'auto' ? null : ctx.match[1];
+  await ctx.answerCbQuery();
+  await ctx
+    .editMessageText(ctx.t('settings.prompt'), settingsKeyboard(u, userLocale(ctx)))
+    .catch(() => {}); // same language tapped twice
+  // reply keyboards can't be edited, a new message swaps the menu labels
+  await ctx.reply(ctx.t('settings.langSet'), mainKeyboard(userLocale(ctx)));
+});
+
+// no-op
+bot.action('noop', async (ctx) => {
+  await ctx.answerCbQuery();
+});
+
+/* ------------------------------------------------------------------ */
+/*  ERROR HANDLING                                                     */
+/* ------------------------------------------------------------------ */
+
+function friendlyError(err, locale) {
+  if (err instanceof LibraryError) return `${t(locale, err.key, err.vars)} 😅`;
+  if (err instanceof SaavnUnavailableError) return t(locale, 'error.unavailable');
+  if (err instanceof SaavnTimeoutError) return t(locale, 'error.timeout');
+  if (err instanceof SaavnNotFoundError) return t(locale, 'search.none');
+  if (err instanceof SaavnError) return t(locale, 'error.saavn');
+  return t(locale, 'error.generic');
+}
+
+// "dl:", "page:"… for buttons, the update type for everything else
+function handlerLabel(ctx) {
+  const data = ctx.callbackQuery?.data;
+  if (data) return data.includes(':') ? `${data.split(':')[0]}:` : data;
+  return ctx.updateType;
+}
+
+bot.catch(async (err, ctx) => {
+  metrics.handlerErrors.inc({ handler: handlerLabel(ctx) });
+  log.error('Handler error', { handler: handlerLabel(ctx), err });
+  if (ctx.callbackQuery) await ctx.answerCbQuery().catch(() => {});
+  if (ctx.chat) await ctx.reply(friendlyError(err, userLocale(ctx))).catch(() => {});
+});
+
+/* ------------------------------------------------------------------ */
+/*  ADMIN HTTP API + DASHBOARD                                         */
+/* ------------------------------------------------------------------ */
+
+const startedAt = Date.now();
+
+function adminAuth(req, res, next) {
+  if (!ADMIN_TOKEN) return res.sendStatus(404);
+  // header only: a token in the url ends up in logs and browser history
+  if (!hasBearerToken(req, ADMIN_TOKEN)) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  next();
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+function adminStats() {
+  const now = Date.now();
+  const timeline = [...analytics.timeline.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([hour, b]) => ({
+      hour: new Date(hour).toISOString(),
+      requests: b.requests,
+      downloads: b.downloads,
+      activeUsers: b.users.size
+    }));
+  const active24h = new Set();
+  for (const [hour, b] of analytics.timeline) {
+    if (hour > now - 24 * HOUR) b.users.forEach((id) => active24h.add(id));
+  }
+
+  const endpoints = [...analytics.endpoints.entries()].map(([endpoint, e]) => ({
+    endpoint,
+    calls: e.calls,
+    errors: e.errors,
+    errorRate: ratio(e.errors, e.calls)
+  }));
+
+  return {
+    uptimeSec: Math.round((now - startedAt) / 1000),
+    users: { seen: globalStats.users.size, stored: userState.size, active24h: active24h.size },
+    totals: { requests: globalStats.totalRequests, downloads: globalStats.totalDownloads },
+    cache: { ...cacheStats, hitRate: cacheHitRate(), entries: responseCache.size },
+    fileIds: {
+      hits: globalStats.fileIdHits,
+      misses: globalStats.fileIdMisses,
+      reuseRate: fileIdReuseRate(),
+      cached: fileIdCache.size
+    },
+    upstream: { circuitOpen: breaker.openUntil > now, endpoints },
+    jobs: { active: activeJobs, queued: jobQueue.length },
+    timeline,
+    topQueries: topEntries(analytics.queries, 20).map(([query, count]) => ({ query, count })),
+    topSongs: topEntries(analytics.songs, 20, (v) => v.count).map(([id, v]) => ({ id, ...v }))
+  };
+}
+
+const ADMIN_DASHBOARD_HTML = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Groovia admin</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 24px; color: #222; }
+  h1 { margin-top: 0; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { border: 1px solid #ddd; border-radius: 8px; padding: 12px 16px; min-width: 140px; }
+  .card b { display: block; font-size: 22px; }
+  .chart { display: flex; align-items: flex-end; gap: 1px; height: 120px; border-bottom: 1px solid #ccc; }
+  .chart div { flex: 1; background: #4a7bd0; min-height: 1px; }
+  table { border-collapse: collapse; margin-top: 8px; }
+  td, th { padding: 4px 12px 4px 0; text-align: left; }
+  section { margin-top: 28px; }
+</style>
+</head>
+<body>
+<h1>🎵 Groovia admin</h1>
+<div class="cards" id="cards"></div>
+<section><h3>Requests / hour (7 days)</h3><div class="chart" id="requests"></div></section>
+<section><h3>Downloads / hour</h3><div class="chart" id="downloads"></div></section>
+<section><h3>Active users / hour</h3><div class="chart" id="users"></div></section>
+<section><h3>Top searches</h3><table id="queries"></table></section>
+<section><h3>Top downloads</h3><table id="songs"></table></section>
+<section><h3>Saavn endpoints</h3><table id="endpoints"></table></section>
+<script>
+// asked once per tab, never part of the url
+const token = sessionStorage.getItem('adminToken') || prompt('Admin token') || '';
+sessionStorage.setItem('adminToken', token);
+const esc = (s) => String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function bars(el, values) {
+  const max = Math.max(1, ...values);
+  el.innerHTML = values.map((v) => '<div title="' + v + '" style="height:' + (v / max) * 100 + '%"></div>').join('');
+}
+
+function table(el, head, rows) {
+  el.innerHTML = '<tr>' + head.map((h) => '<th>' + h + '</th>').join('') + '</tr>' +
+    rows.map((r) => '<tr>' + r.map((c) => '<td>' + esc(c) + '</td>').join('') + '</tr>').join('');
+}
+
+async function load() {
+  const res = await fetch('/admin/api/stats', { headers: { authorization: 'Bearer ' + token } });
+  if (res.status === 401) {
+    sessionStorage.removeItem('adminToken');
+    clearInterval(timer);
+    document.body.textContent = 'Unauthorized, reload to enter the token again';
+    return;
+  }
+  if (!res.ok) return;
+  const s = await res.json();
+  const cards = [
+    ['Users seen', s.users.seen], ['Active 24h', s.users.active24h],
+    ['Requests', s.totals.requests], ['Downloads', s.totals.downloads],
+    ['Cache hit rate', s.cache.hitRate + '%'], ['file_id reuse', s.fileIds.reuseRate + '%'],
+    ['Upstream', s.upstream.circuitOpen ? 'circuit open' : 'ok'], ['Jobs', s.jobs.active + ' / ' + s.jobs.queued + ' queued']
+  ];
+  document.getElementById('cards').innerHTML = cards
+    .map(([k, v]) => '<div class="card">' + esc(k) + '<b>' + esc(v) + '</b></div>').join('');
+  bars(document.getElementById('requests'), s.timeline.map((t) => t.requests));
+  bars(document.getElementById('downloads'), s.timeline.map((t) => t.downloads));
+  bars(document.getElementById('users'), s.timeline.map((t) => t.activeUsers));
+  table(document.getElementById('queries'), ['Query', 'Count'], s.topQueries.map((q) => [q.query, q.count]));
+  table(document.getElementById('songs'), ['Song', 'Artist', 'Count'], s.topSongs.map((x) => [x.name, x.artist, x.count]));
+  table(document.getElementById('endpoints'), ['Endpoint', 'Calls', 'Errors', 'Error %'],
+    s.upstream.endpoints.map((e) => [e.endpoint, e.calls, e.errors, e.errorRate]));
+}
+
+const timer = setInterval(load, 30000);
+load();
+</script>
+</body>
+</html>`;
+
+export function mountAdmin(app) {
+  const admin = express.Router();
+
+  // the page itself holds no data, it asks for the token and sends it
+  // along with every API call
+  admin.get('/', (req, res) => {
+    if (!ADMIN_TOKEN) return res.sendStatus(404);
+    res.type('html').send(ADMIN_DASHBOARD_HTML);
+  });
+
+  admin.use(adminAuth);
+
+  admin.get('/api/stats', (req, res) => {
+    res.json(adminStats());
+  });
+
+  admin.get('/api/users', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const offset = Number(req.query.offset) || 0;
+    const users = [...userState.entries()]
+      .sort(([, a], [, b]) => (b.lastSeen || 0) - (a.lastSeen || 0))
+      .slice(offset, offset + limit)
+      .map(([id, u]) => ({
+        id,
+        username: u.username,
+        firstName: u.firstName,
+        languageCode: u.languageCode,
+        lastSeen: u.lastSeen ? new Date(u.lastSeen).toISOString() : null,
+        quality: u.quality,
+        history: u.history.length,
+        favorites: u.favorites.length,
+        playlists: u.playlists.length
+      }));
+    res.json({ total: userState.size, offset, limit, users });
+  });
+
+  admin.get('/api/downloads', (req, res) => {
+    res.json({
+      total: globalStats.totalDownloads,
+      top: topEntries(analytics.songs, 50, (v) => v.count).map(([id, v]) => ({ id, ...v })),
+      recent: analytics.recentDownloads.map((d) => ({ ...d, at: new Date(d.at).toISOString() }))
+    });
+  });
+
+  app.use('/admin', admin);
+}
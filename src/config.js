@@ -0,0 +1,52 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+
+/* ------------------------------------------------------------------ */
+/*  CONFIG                                                             */
+/* ------------------------------------------------------------------ */
+
+// everything comes from the environment (.env in development)
+
+export const BOT_TOKEN = process.env.BOT_TOKEN;
+export const SAAVN_BASE = process.env.SAAVN_BASE || 'https://jiosavan-sigma.vercel.app';
+export const ADMIN_ID = process.env.ADMIN_ID ? Number(process.env.ADMIN_ID) : null;
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+export const STORAGE_FILE = process.env.STORAGE_FILE || './data/groovia.json';
+export const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+// e.g. https://groovia.onrender.com – enables webhook mode
+export const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+// stable across restarts unless set explicitly, Telegram echoes it back in a header
+export const WEBHOOK_SECRET =
+  process.env.WEBHOOK_SECRET ||
+  crypto.createHash('sha256').update(`webhook:${BOT_TOKEN}`).digest('hex');
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // enables /admin routes
+export const FILE_ID_CACHE_MAX = Number(process.env.FILE_ID_CACHE_MAX) || 20000;
+export const SAAVN_TIMEOUT_MS = Number(process.env.SAAVN_TIMEOUT_MS) || 10000;
+export const SAAVN_RETRIES = process.env.SAAVN_RETRIES ? Number(process.env.SAAVN_RETRIES) : 2;
+export const MAX_BULK_SONGS = Number(process.env.MAX_BULK_SONGS) || 100;
+export const MAX_ACTIVE_JOBS = Number(process.env.MAX_ACTIVE_JOBS) || 2;
+// per user, on top of the one that is running
+export const MAX_QUEUED_JOBS = Number(process.env.MAX_QUEUED_JOBS) || 3;
+// bots may upload up to 50 MB, leave headroom for zip headers
+export const ZIP_PART_BYTES = (Number(process.env.ZIP_PART_MB) || 45) * 1024 * 1024;
+export const LOG_LEVEL = process.env.LOG_LEVEL || 'info'; // debug, info, warn, error or silent
+export const METRICS_TOKEN = process.env.METRICS_TOKEN || null; // optional bearer for /metrics
+// where the HTTP server is reachable from outside, for links to /lyrics pages
+export const PUBLIC_URL = process.env.PUBLIC_URL || WEBHOOK_URL;
+// express "trust proxy": how many reverse proxies sit in front of us (or
+// their addresses), so req.ip is the visitor. Hosts like Render put one
+// in front of every public URL; without a public URL nothing is trusted
+export const TRUST_PROXY = process.env.TRUST_PROXY
+  ? /^\d+$/.test(process.env.TRUST_PROXY)
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY
+  : PUBLIC_URL
+  ? 1
+  : false;
+// en | hi | hinglish, used when Telegram's language isn't one we have
+export const DEFAULT_LOCALE = ['en', 'hi', 'hinglish'].includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : 'hinglish';
+export const PORT = process.env.PORT || 3000;
+// only the tests point this somewhere else, at a local stand-in
+export const TELEGRAM_API_ROOT = process.env.TELEGRAM_API_ROOT || 'https://api.telegram.org';
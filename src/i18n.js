@@ -0,0 +1,1009 @@
+import { DEFAULT_LOCALE } from './config.js';
+import { escapeMd } from './util.js';
+
+/* ------------------------------------------------------------------ */
+/*  MESSAGES (i18n)                                                    */
+/* ------------------------------------------------------------------ */
+
+// one catalog per locale, "{name}" placeholders. Entries are plain text:
+// t() returns them as is, tmd() escapes them for MarkdownV2 but keeps
+// *bold* and _italic_ markers. Missing keys fall back to DEFAULT_LOCALE,
+// then English.
+
+export const LOCALES = ['en', 'hi', 'hinglish'];
+export const LOCALE_NAMES = { en: '🇬🇧 English', hi: '🇮🇳 हिन्दी', hinglish: '🗣 Hinglish' };
+
+export const MESSAGES = {
+  hinglish: {
+    'menu.song': '🎵 Search songs',
+    'menu.album': '📀 Search albums',
+    'menu.playlist': '📂 Search playlists',
+    'menu.artist': '👤 Search artists',
+    'menu.trending': '🔥 Trending',
+    'menu.foryou': '✨ For You',
+    'menu.history': '🕘 History',
+    'menu.library': '📚 My Library',
+    'menu.settings': '⚙️ Settings',
+
+    start:
+      'Hey {name} 👋\n\nMain *Groovia Bot* hoon – JioSaavn se gaane search, explore aur download karne ke liye.\n\n' +
+      '• Seedha naam type karo – songs, albums, playlists aur artists ek saath milenge\n' +
+      '• Ya neeche menu se songs, albums, playlists, artists search karo\n' +
+      '• JioSaavn ka song/album/playlist link bhejoge to direct fetch hoga',
+    help:
+      'Quick guide:\n\n' +
+      '• "Tum Hi Ho" likho → top songs, albums, playlists aur artists\n' +
+      '• "🎵 Search songs" → song search mode\n' +
+      '• "📀 Search albums" → album search mode\n' +
+      '• "📂 Search playlists" → playlist search mode\n' +
+      '• "👤 Search artists" → artist search mode\n' +
+      '• JioSaavn URL paste karo → uska detail directly\n' +
+      '• Filters: tum hi ho lang:hindi year:2010-2015 artist:"Arijit Singh" dur:<5:00\n' +
+      '• ⚙️ Settings → download quality aur language choose\n' +
+      '• ✨ For You → tumhari pasand ke naye gaane, /digest se roz ya har hafte\n' +
+      '• ❤️ / ➕ song pe dabao → 📚 My Library me save\n' +
+      '• /import → Spotify ya kisi aur app ki playlist file se apni playlist\n' +
+      '• Kisi bhi chat me "@{bot} tum hi ho" likho → wahi se song share karo\n',
+
+    'prompt.song': 'Kaunsa song? Naam bhejo 🎵',
+    'prompt.album': 'Album ka naam bhejo 📀',
+    'prompt.playlist': 'Playlist ka naam bhejo 📂',
+    'prompt.artist': 'Artist ka naam bhejo 👤',
+
+    'search.empty': 'Koi naam to likho na 😅',
+    'search.none': 'Kuch nahi mila 😶‍🌫️',
+    'search.header.all': '🔎 *Results* for _{query}_',
+    'search.section.song': '🎵 Songs',
+    'search.section.album': '📀 Albums',
+    'search.section.playlist': '📂 Playlists',
+    'search.section.artist': '👤 Artists',
+    'search.header.song': '🎵 *Songs* for _{query}_',
+    'search.header.album': '📀 *Albums* for _{query}_',
+    'search.header.playlist': '📂 *Playlists* for _{query}_',
+    'search.header.artist': '👤 *Artists* for _{query}_',
+    'search.filters': '🎛 {filters}',
+    'search.noneFiltered': '{filters} ke saath kuch nahi mila 😶‍🌫️ Filters thode dheele karo?',
+    'filter.title': '🎛 *Filters*: _{query}_',
+    'filter.none': 'Abhi koi filter nahi',
+    'filter.tip': 'Search ke saath type bhi kar sakte ho: lang:punjabi year:2020-2023 artist:"Arijit Singh" dur:<5:00',
+    'filter.any': 'Koi bhi',
+    'filter.artist': 'Artist',
+    'filter.album': 'Album',
+    'filter.ask.artist': 'Kis artist ke gaane chahiye? Naam bhejo ✏️',
+    'filter.ask.album': 'Kis album ke gaane chahiye? Naam bhejo ✏️',
+    'filter.expired': 'Ye search purani ho gayi, dobara search karo',
+    'btn.filters': '🎛 Filters',
+    'btn.showResults': '🔍 Results dikhao',
+    'btn.clearFilters': '🧹 Sab hatao',
+    'btn.more.song': '➡️ Aur songs',
+    'btn.more.album': '➡️ Aur albums',
+    'btn.more.playlist': '➡️ Aur playlists',
+    'btn.more.artist': '➡️ Aur artists',
+    'page.label': 'Page {page}/{total}',
+    'page.prev': '⬅️ Prev',
+    'page.next': 'Next ➡️',
+    'count.songs': '{count} songs',
+
+    'history.empty': 'Abhi tak koi history nahi hai 🙂',
+
+    'settings.prompt':
+      'Download quality choose karo (jitna jyada, utna heavy but better audio), aur neeche bot ki language:',
+    'settings.q96': '🚀 Fast (96kbps)',
+    'settings.q160': '⚖️ Balanced (160kbps)',
+    'settings.q320': '🎧 High (320kbps)',
+    'settings.qualitySet': 'Quality {quality}kbps set ho gayi',
+    'settings.langAuto': '🌐 Auto (Telegram ki language)',
+    'settings.langSet': 'Done, ab Hinglish me baat karenge ✅',
+
+    'song.notFound': 'Song nahi mila 😢',
+    'album.notFound': 'Album nahi mila 😢',
+    'playlist.notFound': 'Playlist nahi mili 😢',
+    'artist.notFound': 'Artist nahi mila 😢',
+    'link.matched': '🔗 {platform}: {title}\nJioSaavn pe sabse milta-julta ye hai 👇',
+    'link.noMatch': '🔗 {platform}: {title}\nJioSaavn pe iska match nahi mila 😕',
+    'link.unreadable': '{platform} link se gaane ka naam nahi nikal paaya 😕',
+    'link.unknown': 'Ye link khul nahi raha: {url}',
+    'link.tooMany': 'Ek message me sirf pehle {max} links kholunga.',
+    'artist.noSongs': 'Koi song nahi mila 😢',
+    'artist.noAlbums': 'Koi album nahi mila 😢',
+    'artist.followers': '{count} followers',
+    'artist.songsTitle': '🎵 *{name}* – top songs',
+    'artist.albumsTitle': '📀 *{name}* – albums',
+    'artist.similarTitle': '👥 *{name}* jaise artists',
+    'artist.noSimilar': 'Similar artists nahi mile 😅',
+    'artist.topTitle': '{name} – Top 10',
+    'song.hint': '_Neeche ke buttons se download karo ya similar tracks dekho._',
+    'list.hint': 'Kisi bhi song pe tap karke alag se download karo, ya "Download all" / "ZIP" use karo.',
+    'similar.title': 'Similar tracks',
+    'similar.none': 'Similar songs nahi mile 😅',
+    'lyrics.title': '📝 {title} – {artist}',
+    'lyrics.none': 'Is song ke lyrics available nahi hain 😶',
+    'lyrics.more': '…baaki lyrics neeche ke link pe 👇',
+    'tracks.header': '*{title}* • tracks {from}–{to} / {total}',
+    'tracks.askRange': 'Kaunse tracks chahiye? Range bhejo, jaise 11-25 (total {total})',
+    'tracks.badRange': 'Range samajh nahi aayi 😅 1 se {total} ke beech bhejo, jaise 11-25',
+    'tracks.confirmRange': 'Tracks {from}–{to} ({count} songs) – kaise chahiye?',
+    'tracks.rangeTitle': '{title} ({from}–{to})',
+
+    'btn.download': '⬇️ Download',
+    'btn.similar': '✨ Similar',
+    'btn.lyrics': '📝 Lyrics',
+    'btn.fullLyrics': '📄 Poore lyrics',
+    'btn.favorite': '❤️ Favorite',
+    'btn.unfavorite': '💔 Unfavorite',
+    'btn.addToPlaylist': '➕ Playlist',
+    'btn.downloadAll': '⬇️ Download all',
+    'btn.zip': '🗜 ZIP',
+    'btn.songs': '🎵 Top songs',
+    'btn.albums': '📀 Albums',
+    'btn.downloadTop': '⬇️ Download top {count}',
+    'btn.similarArtists': '👥 Similar artists',
+    'btn.cancel': '✖️ Cancel',
+    'btn.retrySkipped': '🔁 Retry {count} skipped',
+    'btn.openSong': '🎧 Open in Groovia',
+    'btn.openAlbum': '📀 Open album in Groovia',
+
+    'download.started': 'Downloading…',
+    'download.fetching': '⏳ Tumhare liye high-quality audio la raha hoon...',
+    'download.missing': 'Download link nahi mila 😢',
+    'download.failed': 'Telegram ko file bhejte waqt error aaya 😢',
+    'download.caption': '🎵 {title}\n👤 {artist}\n\n@GrooviaBot se download kiya',
+
+    'bulk.none': 'Download karne ke liye koi song nahi mila 😢',
+    'bulk.queued': 'Download queue me daal diya…',
+    'bulk.tooMany': 'Tumhare {count} downloads pehle se line me hain, unhe khatam hone do 🙏',
+    'bulk.zipping': 'ZIP banana shuru…',
+    'job.queued': '🕒 Queued: {title}\n{total} songs, thodi der me shuru hoga…',
+    'job.progress.sent': '{done}/{total} sent',
+    'job.progress.packed': '{done}/{total} packed',
+    'job.skipped': ' • {count} skipped',
+    'job.capped': '\n(sirf pehle {max} songs, total {count} the)',
+    'job.cancelled': '✖️ Cancelled: {title}',
+    'job.done': '✅ Done: {title}',
+    'job.skippedList': 'Skipped:',
+    'job.more': '…aur {count} songs',
+    'job.inactive': 'Ye download ab active nahi hai',
+    'job.cancelling': 'Cancelling…',
+    'job.noRetry': 'Retry ab possible nahi hai',
+    'job.retrying': 'Skipped songs dobara try kar raha hoon…',
+    'job.retryTitle': '{title} (retry)',
+    'zip.caption': '🗜 {title} • part {part} • {count} songs',
+
+    'lib.title': 'My Library',
+    'lib.favorites': '❤️ Favorites',
+    'lib.noPlaylists': 'Abhi koi playlist nahi hai',
+    'lib.newPlaylist': '➕ New playlist',
+    'lib.gone': 'Ye playlist ab exist nahi karti 😢',
+    'lib.listEmpty': 'Abhi khaali hai – kisi song pe ❤️ ya ➕ dabao.',
+    'lib.maxFavorites': 'Favorites me max {max} songs aa sakte hain',
+    'lib.maxSongs': 'Ek playlist me max {max} songs',
+    'lib.maxPlaylists': 'Max {max} playlists bana sakte ho',
+    'lib.notFound': 'Playlist nahi mili',
+    'lib.nameEmpty': 'Naam khaali nahi ho sakta, dobara bhejo ✏️',
+    'lib.created': '📂 Playlist "{name}" ban gayi ✅',
+    'lib.renamed': '✏️ Naya naam: "{name}"',
+    'lib.favAdded': 'Favorites me add ho gaya ❤️',
+    'lib.favRemoved': 'Favorites se hata diya',
+    'lib.pickPlaylist': 'Kis playlist me add karun?',
+    'lib.added': '"{name}" me add ho gaya ✅',
+    'lib.askName': 'Nayi playlist ka naam bhejo ✏️',
+    'lib.askRename': 'Playlist ka naya naam bhejo ✏️',
+    'lib.confirmDelete': '"{name}" delete kar dun? Ye wapas nahi aayegi.',
+    'lib.deleted': 'Playlist delete ho gayi',
+    'lib.removed': 'Hata diya',
+    'lib.empty': 'Playlist khaali hai',
+    'btn.edit': '✏️ Edit',
+    'btn.done': '✅ Done',
+    'btn.rename': '✏️ Rename',
+    'btn.deletePlaylist': '🗑 Delete playlist',
+    'btn.confirmDelete': '🗑 Haan, delete',
+    'btn.keep': 'Rehne do',
+    'btn.library': '« Library',
+    'btn.back': '« Wapas',
+    'btn.range': '🎯 Range download',
+
+    'import.prompt':
+      '📥 Dusri app ki playlist file bhejo – CSV, JSON ya M3U, har line me gaana aur artist.\n' +
+      'Spotify ke liye Exportify ki CSV seedha chalegi. Max {max} gaane.',
+    'import.badType': 'Ye file nahi chalegi 😅 .csv, .json ya .m3u bhejo.',
+    'import.tooBig': 'File bahut badi hai, max {max} KB 😅',
+    'import.unreadable': 'Is file se playlist nahi padh paaya 😕',
+    'import.empty': 'File me ek bhi gaana nahi mila 😶',
+    'import.truncated': 'File me {total} gaane hain, pehle {max} import karunga.',
+    'import.busy': 'Pichhli file abhi match ho rahi hai, thoda ruko 🙏',
+    'import.progress': '🔎 Gaane dhoondh raha hoon… {done}/{total}',
+    'import.summary': '✅ {sure} pakke • ⚠️ {unsure} check kar lo • ❌ {missing} nahi mile',
+    'import.noMatch': 'JioSaavn pe nahi mila',
+    'import.pickFor': 'Iske liye sahi gaana chuno:',
+    'import.noCandidates': 'Iske jaisa koi gaana nahi mila',
+    'import.expired': 'Ye import ab khula nahi hai, file dobara bhejo',
+    'import.nothingToSave': 'Ek bhi gaana match nahi hua, save karne ko kuch nahi',
+    'import.saved': '📂 "{name}" me {count} gaane save ho gaye ✅ ({skipped} chhoot gaye)',
+    'import.cancelled': 'Import cancel ho gaya',
+    'btn.import': '📥 Import',
+    'btn.saveImport': '💾 Playlist save karo',
+    'btn.skipImport': '🚫 Chhod do',
+
+    'group.help':
+      'Group me main sirf commands aur mentions sunta hoon 🎧\n\n' +
+      '• /song <naam> – song search\n' +
+      '• /album <naam> – album search\n' +
+      '• @{bot} <naam> – seedha song search\n' +
+      '• Song pe "➕ Queue" dabao – group queue me add\n' +
+      '• /queue – queue dekho, ⏭ skip aur 📌 pin pe vote karo\n' +
+      '• /groupsettings – admins ke liye quality, bulk downloads aur votes',
+    'group.usage.song': 'Aise likho: /song tum hi ho',
+    'group.usage.album': 'Aise likho: /album aashiqui 2',
+    'group.only': 'Ye sirf groups me chalta hai 🙂',
+    'group.adminOnly': 'Ye sirf group admins kar sakte hain 🙂',
+    'group.bulkDenied': 'Is group me poora album/playlist sirf admins download kar sakte hain 🙂',
+    'group.queueTitle': '🎶 Group queue',
+    'group.nowPlaying': '▶️ Ab chal raha: {song}',
+    'group.skipVotes': '⏭ Skip votes: {votes}/{needed}',
+    'group.upNext': 'Aage:',
+    'group.queueEmpty': 'Queue khaali hai – /song se kuch add karo 🎵',
+    'group.addedBy': '{name} ne add kiya',
+    'group.queued': 'Queue me #{pos} pe add ho gaya ✅',
+    'group.alreadyQueued': 'Ye song pehle se queue me hai',
+    'group.queueFull': 'Queue full hai, max {max} songs',
+    'group.trackGone': 'Ye song ab queue me nahi hai',
+    'group.alreadyPinned': 'Ye pehle se pinned hai',
+    'group.skipVoted': 'Skip vote {votes}/{needed}',
+    'group.pinVoted': 'Pin vote {votes}/{needed}',
+    'group.pinned': '📌 Pin ho gaya, ab ye aage hai',
+    'group.playing': 'Play kar raha hoon…',
+    'group.settingsTitle':
+      '⚙️ Group settings\n\nMax quality: {quality}kbps\nBulk downloads: {bulk}\nSkip/pin ke liye votes: {votes}',
+    'group.bulk.all': 'sab members',
+    'group.bulk.admins': 'sirf admins',
+    'group.settingsSaved': 'Save ho gaya ✅',
+    'btn.queue': '➕ Queue',
+    'btn.playNext': '▶️ Play next',
+    'btn.skip': '⏭ Skip ({votes}/{needed})',
+    'btn.refresh': '🔄 Refresh',
+    'btn.bulkAll': '👥 Bulk: sab',
+    'btn.bulkAdmins': '🛡 Bulk: admins',
+    'btn.votes': '🗳 {n} votes',
+
+    'mix.title': '✨ For You',
+    'mix.dailyTitle': '✨ Tumhara daily mix',
+    'mix.weeklyTitle': '✨ Tumhara weekly mix',
+    'mix.basedOn': '_In gaano ke hisaab se: {names}_',
+    'mix.empty':
+      'Abhi tumhari pasand ka pata nahi 🙂 Kuch gaane suno ya download karo, phir main mix banaunga.',
+    'mix.none': 'Abhi mix ke liye kuch naya nahi mila 😅 Thodi der baad try karo.',
+    'mix.jobTitle': 'For You mix',
+    'digest.title':
+      '🔔 Daily/weekly mix\n\nAbhi: {status}\nTime: {hour}:00 ({tz})\n\n' +
+      'Weekly mix Sunday ko aata hai. Koi aur time zone? Aise bhejo: /timezone Europe/Berlin',
+    'digest.status.off': 'band',
+    'digest.status.daily': 'roz',
+    'digest.status.weekly': 'har hafte',
+    'digest.saved': 'Save ho gaya ✅',
+    'digest.tzSet': 'Time zone {tz} set ho gaya ✅',
+    'digest.tzBad': 'Ye time zone samajh nahi aaya 😅 Aise likho: /timezone Asia/Kolkata',
+    'btn.refreshMix': '🔄 Naya mix',
+    'btn.digest': '🔔 Daily/weekly mix',
+    'btn.digestOff': '🔕 Band',
+    'btn.digestDaily': '📅 Roz',
+    'btn.digestWeekly': '🗓 Har hafte',
+
+    'admin.stats': '📊 *Bot stats*\nUsers dekhe: {users}\nRequests: {requests}\nDownloads: {downloads}\nCache: {hits} hits, {misses} misses, {coalesced} coalesced ({cacheRate}%)\nFile reuse: {reused}/{sends} sends ({reuseRate}%), {cached} cached\nUpstream: {upstream}',
+    'admin.upstreamOk': 'ok 🟢',
+    'admin.upstreamOpen': 'circuit open 🔴',
+    'admin.banUsage': 'Usage: /ban <userId> [reason]',
+    'admin.banSelf': 'Khud ko ban nahi kar sakte 🙂',
+    'admin.banned': '🚫 {id} banned.',
+    'admin.unbanUsage': 'Usage: /unban <userId>',
+    'admin.notBanned': '{id} banned nahi tha.',
+    'admin.unbanned': '✅ {id} unbanned.',
+    'admin.offenderLine': '{id} {who} • {hits} baar roka ({category}, {ago} min pehle)',
+    'admin.offenders': '🚦 Offenders, pichhle 24 ghante\n{offenders}\n\n🚫 Banned ({count})\n{banned}',
+    'admin.none': 'koi nahi',
+    'broadcast.usage': 'Usage:\n/broadcast [lang:hi] [active:7d] message\nya kisi photo/audio message pe reply karke /broadcast [filters]\nButton: alag line me [Label](https://link)',
+    'broadcast.badActive': 'active: filter aise likho: active:12h ya active:7d',
+    'broadcast.badLang': 'lang: filter inme se ek ho: {locales}',
+    'broadcast.preview': '👀 Preview:',
+    'broadcast.audience': '📢 Audience: {count} users ({filters})\nBhej dun?',
+    'broadcast.filterLang': 'language {lang}',
+    'broadcast.filterActive': 'pichhle {active} me active',
+    'broadcast.filterAll': 'saare users',
+    'broadcast.running': '📢 Broadcast chal raha hai…',
+    'broadcast.cancelled': '✖️ Broadcast cancelled',
+    'broadcast.done': '✅ Broadcast done',
+    'broadcast.report': '{head}\n{done}/{total} {secs}s me process hue\nPahunche: {sent}\nBlocked / gaye: {blocked}\nFailed: {failed}',
+    'broadcast.expired': 'Broadcast expire ho gaya',
+    'broadcast.alreadySent': 'Pehle hi bhej diya',
+    'broadcast.sending': 'Bhej raha hoon…',
+    'broadcast.cancelledToast': 'Cancel ho gaya',
+    'broadcast.cancelledPreview': '✖️ Broadcast cancel kar diya.',
+    'broadcast.stopping': 'Rok raha hoon…',
+    'btn.broadcastSend': '✅ {count} ko bhejo',
+    'btn.stop': '✖️ Stop',
+
+    'wait.sec': '{n} sec',
+    'wait.min': '{n} min',
+    'limit.bulk': 'Bulk downloads ki limit ho gayi 😅 {wait} baad try karo.',
+    'limit.download': 'Thoda dheere 😅 Agla download {wait} baad.',
+    'limit.mix': 'Naya mix banne mein time lagta hai 😅 {wait} baad try karo.',
+    'limit.search': 'Itni jaldi jaldi? 😅 {wait} ruk ke try karo.',
+
+    'error.unavailable': 'JioSaavn abhi down lag raha hai 😵 Thodi der baad try karo.',
+    'error.timeout': 'JioSaavn bahut slow chal raha hai ⏳ Dobara try karo.',
+    'error.saavn': 'JioSaavn se data laate waqt gadbad ho gayi 😢 Dobara try karo.',
+    'error.generic': 'Oops, kuch gadbad ho gayi 😢 Dobara try karo.'
+  },
+
+  en: {
+    'menu.song': '🎵 Search songs',
+    'menu.album': '📀 Search albums',
+    'menu.playlist': '📂 Search playlists',
+    'menu.artist': '👤 Search artists',
+    'menu.trending': '🔥 Trending',
+    'menu.foryou': '✨ For You',
+    'menu.history': '🕘 History',
+    'menu.library': '📚 My Library',
+    'menu.settings': '⚙️ Settings',
+
+    start:
+      "Hey {name} 👋\n\nI'm *Groovia Bot* – search, explore and download songs from JioSaavn.\n\n" +
+      "• Just type a name – I'll search songs, albums, playlists and artists at once\n" +
+      '• Or use the menu below to search songs, albums, playlists and artists\n' +
+      '• Send a JioSaavn song/album/playlist link to open it directly',
+    help:
+      'Quick guide:\n\n' +
+      '• Type "Tum Hi Ho" → top songs, albums, playlists and artists\n' +
+      '• "🎵 Search songs" → song search mode\n' +
+      '• "📀 Search albums" → album search mode\n' +
+      '• "📂 Search playlists" → playlist search mode\n' +
+      '• "👤 Search artists" → artist search mode\n' +
+      '• Paste a JioSaavn URL → open it directly\n' +
+      '• Filters: tum hi ho lang:hindi year:2010-2015 artist:"Arijit Singh" dur:<5:00\n' +
+      '• ⚙️ Settings → download quality and language\n' +
+      '• ✨ For You → new songs picked for you, daily or weekly with /digest\n' +
+      '• Tap ❤️ / ➕ on a song → saved to 📚 My Library\n' +
+      '• /import → turn a playlist file from Spotify or another app into your own playlist\n' +
+      '• Type "@{bot} tum hi ho" in any chat → share a song right there\n',
+
+    'prompt.song': 'Which song? Send me the name 🎵',
+    'prompt.album': 'Send me the album name 📀',
+    'prompt.playlist': 'Send me the playlist name 📂',
+    'prompt.artist': 'Send me the artist name 👤',
+
+    'search.empty': 'Type a name first 😅',
+    'search.none': 'Nothing found 😶‍🌫️',
+    'search.header.all': '🔎 *Results* for _{query}_',
+    'search.section.song': '🎵 Songs',
+    'search.section.album': '📀 Albums',
+    'search.section.playlist': '📂 Playlists',
+    'search.section.artist': '👤 Artists',
+    'search.header.song': '🎵 *Songs* for _{query}_',
+    'search.header.album': '📀 *Albums* for _{query}_',
+    'search.header.playlist': '📂 *Playlists* for _{query}_',
+    'search.header.artist': '👤 *Artists* for _{query}_',
+    'search.filters': '🎛 {filters}',
+    'search.noneFiltered': 'Nothing matches {filters} 😶‍🌫️ Loosen the filters a bit?',
+    'filter.title': '🎛 *Filters*: _{query}_',
+    'filter.none': 'No filters yet',
+    'filter.tip': 'You can also type them with your search: lang:punjabi year:2020-2023 artist:"Arijit Singh" dur:<5:00',
+    'filter.any': 'Any',
+    'filter.artist': 'Artist',
+    'filter.album': 'Album',
+    'filter.ask.artist': 'Songs by which artist? Send the name ✏️',
+    'filter.ask.album': 'Songs from which album? Send the name ✏️',
+    'filter.expired': 'This search has expired, search again',
+    'btn.filters': '🎛 Filters',
+    'btn.showResults': '🔍 Show results',
+    'btn.clearFilters': '🧹 Clear all',
+    'btn.more.song': '➡️ More songs',
+    'btn.more.album': '➡️ More albums',
+    'btn.more.playlist': '➡️ More playlists',
+    'btn.more.artist': '➡️ More artists',
+    'page.label': 'Page {page}/{total}',
+    'page.prev': '⬅️ Prev',
+    'page.next': 'Next ➡️',
+    'count.songs': '{count} songs',
+
+    'history.empty': 'No history yet 🙂',
+
+    'settings.prompt':
+      'Choose your download quality (higher means bigger files but better audio) and the bot language:',
+    'settings.q96': '🚀 Fast (96kbps)',
+    'settings.q160': '⚖️ Balanced (160kbps)',
+    'settings.q320': '🎧 High (320kbps)',
+    'settings.qualitySet': 'Quality set to {quality}kbps',
+    'settings.langAuto': '🌐 Auto (Telegram language)',
+    'settings.langSet': 'Okay, English it is ✅',
+
+    'song.notFound': 'Song not found 😢',
+    'album.notFound': 'Album not found 😢',
+    'playlist.notFound': 'Playlist not found 😢',
+    'artist.notFound': 'Artist not found 😢',
+    'link.matched': '🔗 {platform}: {title}\nClosest match on JioSaavn 👇',
+    'link.noMatch': '🔗 {platform}: {title}\nNo match on JioSaavn 😕',
+    'link.unreadable': "Couldn't read the song from that {platform} link 😕",
+    'link.unknown': "Couldn't open this link: {url}",
+    'link.tooMany': 'I only open the first {max} links of a message.',
+    'artist.noSongs': 'No songs found 😢',
+    'artist.noAlbums': 'No albums found 😢',
+    'artist.followers': '{count} followers',
+    'artist.songsTitle': '🎵 *{name}* – top songs',
+    'artist.albumsTitle': '📀 *{name}* – albums',
+    'artist.similarTitle': '👥 Artists like *{name}*',
+    'artist.noSimilar': 'No similar artists found 😅',
+    'artist.topTitle': '{name} – Top 10',
+    'song.hint': '_Use the buttons below to download or explore similar tracks._',
+    'list.hint': 'Tap any song in the list to download it on its own, or use "Download all" / "ZIP".',
+    'similar.title': 'Similar tracks',
+    'similar.none': 'No similar songs found 😅',
+    'lyrics.title': '📝 {title} – {artist}',
+    'lyrics.none': 'No lyrics available for this song 😶',
+    'lyrics.more': '…the rest is on the page below 👇',
+    'tracks.header': '*{title}* • tracks {from}–{to} of {total}',
+    'tracks.askRange': 'Which tracks? Send a range like 11-25 (of {total})',
+    'tracks.badRange': "Couldn't read that range 😅 Use numbers from 1 to {total}, like 11-25",
+    'tracks.confirmRange': 'Tracks {from}–{to} ({count} songs) – how do you want them?',
+    'tracks.rangeTitle': '{title} ({from}–{to})',
+
+    'btn.download': '⬇️ Download',
+    'btn.similar': '✨ Similar',
+    'btn.lyrics': '📝 Lyrics',
+    'btn.fullLyrics': '📄 Full lyrics',
+    'btn.favorite': '❤️ Favorite',
+    'btn.unfavorite': '💔 Unfavorite',
+    'btn.addToPlaylist': '➕ Playlist',
+    'btn.downloadAll': '⬇️ Download all',
+    'btn.zip': '🗜 ZIP',
+    'btn.songs': '🎵 Top songs',
+    'btn.albums': '📀 Albums',
+    'btn.downloadTop': '⬇️ Download top {count}',
+    'btn.similarArtists': '👥 Similar artists',
+    'btn.cancel': '✖️ Cancel',
+    'btn.retrySkipped': '🔁 Retry {count} skipped',
+    'btn.openSong': '🎧 Open in Groovia',
+    'btn.openAlbum': '📀 Open album in Groovia',
+
+    'download.started': 'Downloading…',
+    'download.fetching': '⏳ Fetching high-quality audio for you...',
+    'download.missing': 'Download link missing 😢',
+    'download.failed': 'Sending the file to Telegram failed 😢',
+    'download.caption': '🎵 {title}\n👤 {artist}\n\nDownloaded via @GrooviaBot',
+
+    'bulk.none': 'No songs to download 😢',
+    'bulk.queued': 'Download queued…',
+    'bulk.tooMany': 'You already have {count} downloads waiting, let them finish first 🙏',
+    'bulk.zipping': 'Building the ZIP…',
+    'job.queued': '🕒 Queued: {title}\n{total} songs, will start shortly…',
+    'job.progress.sent': '{done}/{total} sent',
+    'job.progress.packed': '{done}/{total} packed',
+    'job.skipped': ' • {count} skipped',
+    'job.capped': '\n(first {max} of {count} songs only)',
+    'job.cancelled': '✖️ Cancelled: {title}',
+    'job.done': '✅ Done: {title}',
+    'job.skippedList': 'Skipped:',
+    'job.more': '…and {count} more',
+    'job.inactive': 'This download is no longer active',
+    'job.cancelling': 'Cancelling…',
+    'job.noRetry': 'Nothing to retry any more',
+    'job.retrying': 'Retrying skipped songs…',
+    'job.retryTitle': '{title} (retry)',
+    'zip.caption': '🗜 {title} • part {part} • {count} songs',
+
+    'lib.title': 'My Library',
+    'lib.favorites': '❤️ Favorites',
+    'lib.noPlaylists': 'No playlists yet',
+    'lib.newPlaylist': '➕ New playlist',
+    'lib.gone': 'This playlist no longer exists 😢',
+    'lib.listEmpty': 'Empty for now – tap ❤️ or ➕ on any song.',
+    'lib.maxFavorites': 'Favorites can hold at most {max} songs',
+    'lib.maxSongs': 'A playlist can hold at most {max} songs',
+    'lib.maxPlaylists': 'You can have at most {max} playlists',
+    'lib.notFound': 'Playlist not found',
+    'lib.nameEmpty': "The name can't be empty, send it again ✏️",
+    'lib.created': '📂 Playlist "{name}" created ✅',
+    'lib.renamed': '✏️ New name: "{name}"',
+    'lib.favAdded': 'Added to Favorites ❤️',
+    'lib.favRemoved': 'Removed from Favorites',
+    'lib.pickPlaylist': 'Add to which playlist?',
+    'lib.added': 'Added to "{name}" ✅',
+    'lib.askName': 'Send a name for the new playlist ✏️',
+    'lib.askRename': 'Send the new playlist name ✏️',
+    'lib.confirmDelete': 'Delete "{name}"? This cannot be undone.',
+    'lib.deleted': 'Playlist deleted',
+    'lib.removed': 'Removed',
+    'lib.empty': 'The playlist is empty',
+    'btn.edit': '✏️ Edit',
+    'btn.done': '✅ Done',
+    'btn.rename': '✏️ Rename',
+    'btn.deletePlaylist': '🗑 Delete playlist',
+    'btn.confirmDelete': '🗑 Yes, delete',
+    'btn.keep': 'Keep it',
+    'btn.library': '« Library',
+    'btn.back': '« Back',
+    'btn.range': '🎯 Download a range',
+
+    'import.prompt':
+      '📥 Send me a playlist file from another app – CSV, JSON or M3U, one song and artist per row.\n' +
+      'For Spotify, an Exportify CSV works as it is. Up to {max} songs.',
+    'import.badType': "I can't read that kind of file 😅 Send a .csv, .json or .m3u.",
+    'import.tooBig': 'That file is too big, {max} KB at most 😅',
+    'import.unreadable': "Couldn't read a playlist from that file 😕",
+    'import.empty': 'No songs found in that file 😶',
+    'import.truncated': 'The file has {total} songs, I will import the first {max}.',
+    'import.busy': 'Still matching your last file, hang on 🙏',
+    'import.progress': '🔎 Matching songs… {done}/{total}',
+    'import.summary': '✅ {sure} sure • ⚠️ {unsure} worth a check • ❌ {missing} not found',
+    'import.noMatch': 'not on JioSaavn',
+    'import.pickFor': 'Pick the right song for:',
+    'import.noCandidates': 'Nothing on JioSaavn looks like this one',
+    'import.expired': 'This import is closed, send the file again',
+    'import.nothingToSave': 'None of the songs matched, nothing to save',
+    'import.saved': '📂 Saved {count} songs to "{name}" ✅ ({skipped} left out)',
+    'import.cancelled': 'Import cancelled',
+    'btn.import': '📥 Import',
+    'btn.saveImport': '💾 Save playlist',
+    'btn.skipImport': '🚫 Leave it out',
+
+    'group.help':
+      'In groups I only answer commands and mentions 🎧\n\n' +
+      '• /song <name> – search songs\n' +
+      '• /album <name> – search albums\n' +
+      '• @{bot} <name> – quick song search\n' +
+      '• Tap "➕ Queue" on a song – add it to the group queue\n' +
+      '• /queue – see the queue, vote to ⏭ skip or 📌 pin\n' +
+      '• /groupsettings – quality, bulk downloads and votes (admins)',
+    'group.usage.song': 'Usage: /song tum hi ho',
+    'group.usage.album': 'Usage: /album aashiqui 2',
+    'group.only': 'This only works in groups 🙂',
+    'group.adminOnly': 'Only group admins can do that 🙂',
+    'group.bulkDenied': 'In this group only admins can download whole albums and playlists 🙂',
+    'group.queueTitle': '🎶 Group queue',
+    'group.nowPlaying': '▶️ Now playing: {song}',
+    'group.skipVotes': '⏭ Skip votes: {votes}/{needed}',
+    'group.upNext': 'Up next:',
+    'group.queueEmpty': 'The queue is empty – add something with /song 🎵',
+    'group.addedBy': 'added by {name}',
+    'group.queued': 'Added to the queue at #{pos} ✅',
+    'group.alreadyQueued': 'That song is already in the queue',
+    'group.queueFull': 'The queue is full, max {max} songs',
+    'group.trackGone': 'That song is no longer in the queue',
+    'group.alreadyPinned': 'Already pinned',
+    'group.skipVoted': 'Skip vote {votes}/{needed}',
+    'group.pinVoted': 'Pin vote {votes}/{needed}',
+    'group.pinned': '📌 Pinned, it plays next',
+    'group.playing': 'Playing…',
+    'group.settingsTitle':
+      '⚙️ Group settings\n\nMax quality: {quality}kbps\nBulk downloads: {bulk}\nVotes to skip/pin: {votes}',
+    'group.bulk.all': 'all members',
+    'group.bulk.admins': 'admins only',
+    'group.settingsSaved': 'Saved ✅',
+    'btn.queue': '➕ Queue',
+    'btn.playNext': '▶️ Play next',
+    'btn.skip': '⏭ Skip ({votes}/{needed})',
+    'btn.refresh': '🔄 Refresh',
+    'btn.bulkAll': '👥 Bulk: everyone',
+    'btn.bulkAdmins': '🛡 Bulk: admins',
+    'btn.votes': '🗳 {n} votes',
+
+    'mix.title': '✨ For You',
+    'mix.dailyTitle': '✨ Your daily mix',
+    'mix.weeklyTitle': '✨ Your weekly mix',
+    'mix.basedOn': '_Based on: {names}_',
+    'mix.empty': "I don't know your taste yet 🙂 Play or download a few songs and I'll build you a mix.",
+    'mix.none': "Couldn't find anything new for your mix right now 😅 Try again later.",
+    'mix.jobTitle': 'For You mix',
+    'digest.title':
+      '🔔 Daily/weekly mix\n\nNow: {status}\nTime: {hour}:00 ({tz})\n\n' +
+      'The weekly mix arrives on Sundays. Another time zone? Send e.g. /timezone Europe/Berlin',
+    'digest.status.off': 'off',
+    'digest.status.daily': 'daily',
+    'digest.status.weekly': 'weekly',
+    'digest.saved': 'Saved ✅',
+    'digest.tzSet': 'Time zone set to {tz} ✅',
+    'digest.tzBad': "I don't know that time zone 😅 Write it like this: /timezone Asia/Kolkata",
+    'btn.refreshMix': '🔄 New mix',
+    'btn.digest': '🔔 Daily/weekly mix',
+    'btn.digestOff': '🔕 Off',
+    'btn.digestDaily': '📅 Daily',
+    'btn.digestWeekly': '🗓 Weekly',
+
+    'admin.stats': '📊 *Bot stats*\nUsers seen: {users}\nRequests: {requests}\nDownloads: {downloads}\nCache: {hits} hits, {misses} misses, {coalesced} coalesced ({cacheRate}%)\nFile reuse: {reused}/{sends} sends ({reuseRate}%), {cached} cached\nUpstream: {upstream}',
+    'admin.upstreamOk': 'ok 🟢',
+    'admin.upstreamOpen': 'circuit open 🔴',
+    'admin.banUsage': 'Usage: /ban <userId> [reason]',
+    'admin.banSelf': 'You can\'t ban yourself 🙂',
+    'admin.banned': '🚫 {id} banned.',
+    'admin.unbanUsage': 'Usage: /unban <userId>',
+    'admin.notBanned': '{id} wasn\'t banned.',
+    'admin.unbanned': '✅ {id} unbanned.',
+    'admin.offenderLine': '{id} {who} • {hits} throttled ({category}, {ago} min ago)',
+    'admin.offenders': '🚦 Offenders, last 24h\n{offenders}\n\n🚫 Banned ({count})\n{banned}',
+    'admin.none': 'none',
+    'broadcast.usage': 'Usage:\n/broadcast [lang:hi] [active:7d] message\nor reply to any photo/audio message with /broadcast [filters]\nButton: [Label](https://link) on a line of its own',
+    'broadcast.badActive': 'Write the active: filter like active:12h or active:7d',
+    'broadcast.badLang': 'The lang: filter must be one of {locales}',
+    'broadcast.preview': '👀 Preview:',
+    'broadcast.audience': '📢 Audience: {count} users ({filters})\nSend it?',
+    'broadcast.filterLang': 'language {lang}',
+    'broadcast.filterActive': 'active in last {active}',
+    'broadcast.filterAll': 'all users',
+    'broadcast.running': '📢 Broadcast running…',
+    'broadcast.cancelled': '✖️ Broadcast cancelled',
+    'broadcast.done': '✅ Broadcast done',
+    'broadcast.report': '{head}\n{done}/{total} processed in {secs}s\nDelivered: {sent}\nBlocked / gone: {blocked}\nFailed: {failed}',
+    'broadcast.expired': 'This broadcast has expired',
+    'broadcast.alreadySent': 'Already sent',
+    'broadcast.sending': 'Sending…',
+    'broadcast.cancelledToast': 'Cancelled',
+    'broadcast.cancelledPreview': '✖️ Broadcast cancelled.',
+    'broadcast.stopping': 'Stopping…',
+    'btn.broadcastSend': '✅ Send to {count}',
+    'btn.stop': '✖️ Stop',
+
+    'wait.sec': '{n} sec',
+    'wait.min': '{n} min',
+    'limit.bulk': 'Bulk download limit reached 😅 Try again in {wait}.',
+    'limit.download': 'Slow down a little 😅 Next download in {wait}.',
+    'limit.mix': 'Mixes take a moment to brew 😅 Try again in {wait}.',
+    'limit.search': 'Easy there 😅 Try again in {wait}.',
+
+    'error.unavailable': 'JioSaavn seems to be down 😵 Try again in a bit.',
+    'error.timeout': 'JioSaavn is very slow right now ⏳ Please try again.',
+    'error.saavn': 'Something went wrong while talking to JioSaavn 😢 Please try again.',
+    'error.generic': 'Oops, something went wrong 😢 Please try again.'
+  },
+
+  hi: {
+    'menu.song': '🎵 गाने खोजें',
+    'menu.album': '📀 एल्बम खोजें',
+    'menu.playlist': '📂 प्लेलिस्ट खोजें',
+    'menu.artist': '👤 कलाकार खोजें',
+    'menu.trending': '🔥 ट्रेंडिंग',
+    'menu.foryou': '✨ आपके लिए',
+    'menu.history': '🕘 इतिहास',
+    'menu.library': '📚 मेरी लाइब्रेरी',
+    'menu.settings': '⚙️ सेटिंग्स',
+
+    start:
+      'नमस्ते {name} 👋\n\nमैं *Groovia Bot* हूँ – JioSaavn से गाने खोजने, सुनने और डाउनलोड करने के लिए।\n\n' +
+      '• सीधे नाम लिखें – गाने, एल्बम, प्लेलिस्ट और कलाकार एक साथ मिलेंगे\n' +
+      '• या नीचे मेन्यू से गाने, एल्बम, प्लेलिस्ट और कलाकार खोजें\n' +
+      '• JioSaavn का गाना/एल्बम/प्लेलिस्ट लिंक भेजें, वो सीधे खुल जाएगा',
+    help:
+      'छोटी सी गाइड:\n\n' +
+      '• "Tum Hi Ho" लिखें → टॉप गाने, एल्बम, प्लेलिस्ट और कलाकार\n' +
+      '• "🎵 गाने खोजें" → गाने खोजने का मोड\n' +
+      '• "📀 एल्बम खोजें" → एल्बम खोजने का मोड\n' +
+      '• "📂 प्लेलिस्ट खोजें" → प्लेलिस्ट खोजने का मोड\n' +
+      '• "👤 कलाकार खोजें" → कलाकार खोजने का मोड\n' +
+      '• JioSaavn URL पेस्ट करें → सीधे उसकी जानकारी\n' +
+      '• फ़िल्टर: tum hi ho lang:hindi year:2010-2015 artist:"Arijit Singh" dur:<5:00\n' +
+      '• ⚙️ सेटिंग्स → डाउनलोड क्वालिटी और भाषा चुनें\n' +
+      '• ✨ आपके लिए → आपकी पसंद के नए गाने, /digest से रोज़ या हर हफ़्ते\n' +
+      '• गाने पर ❤️ / ➕ दबाएँ → 📚 मेरी लाइब्रेरी में सेव\n' +
+      '• /import → Spotify या किसी दूसरे ऐप की प्लेलिस्ट फ़ाइल से अपनी प्लेलिस्ट\n' +
+      '• किसी भी चैट में "@{bot} tum hi ho" लिखें → वहीं से गाना शेयर करें\n',
+
+    'prompt.song': 'कौन सा गाना? नाम भेजें 🎵',
+    'prompt.album': 'एल्बम का नाम भेजें 📀',
+    'prompt.playlist': 'प्लेलिस्ट का नाम भेजें 📂',
+    'prompt.artist': 'कलाकार का नाम भेजें 👤',
+
+    'search.empty': 'पहले कोई नाम तो लिखिए 😅',
+    'search.none': 'कुछ नहीं मिला 😶‍🌫️',
+    'search.header.all': '🔎 _{query}_ के *नतीजे*',
+    'search.section.song': '🎵 गाने',
+    'search.section.album': '📀 एल्बम',
+    'search.section.playlist': '📂 प्लेलिस्ट',
+    'search.section.artist': '👤 कलाकार',
+    'search.header.song': '🎵 _{query}_ के लिए *गाने*',
+    'search.header.album': '📀 _{query}_ के लिए *एल्बम*',
+    'search.header.playlist': '📂 _{query}_ के लिए *प्लेलिस्ट*',
+    'search.header.artist': '👤 _{query}_ के लिए *कलाकार*',
+    'search.filters': '🎛 {filters}',
+    'search.noneFiltered': '{filters} के साथ कुछ नहीं मिला 😶‍🌫️ फ़िल्टर थोड़े ढीले करें?',
+    'filter.title': '🎛 *फ़िल्टर*: _{query}_',
+    'filter.none': 'अभी कोई फ़िल्टर नहीं',
+    'filter.tip': 'खोज के साथ टाइप भी कर सकते हैं: lang:punjabi year:2020-2023 artist:"Arijit Singh" dur:<5:00',
+    'filter.any': 'कोई भी',
+    'filter.artist': 'कलाकार',
+    'filter.album': 'एल्बम',
+    'filter.ask.artist': 'किस कलाकार के गाने चाहिए? नाम भेजें ✏️',
+    'filter.ask.album': 'किस एल्बम के गाने चाहिए? नाम भेजें ✏️',
+    'filter.expired': 'यह खोज पुरानी हो गई, फिर से खोजें',
+    'btn.filters': '🎛 फ़िल्टर',
+    'btn.showResults': '🔍 नतीजे दिखाएँ',
+    'btn.clearFilters': '🧹 सब हटाएँ',
+    'btn.more.song': '➡️ और गाने',
+    'btn.more.album': '➡️ और एल्बम',
+    'btn.more.playlist': '➡️ और प्लेलिस्ट',
+    'btn.more.artist': '➡️ और कलाकार',
+    'page.label': 'पेज {page}/{total}',
+    'page.prev': '⬅️ पिछला',
+    'page.next': 'अगला ➡️',
+    'count.songs': '{count} गाने',
+
+    'history.empty': 'अभी तक कोई इतिहास नहीं है 🙂',
+
+    'settings.prompt':
+      'डाउनलोड क्वालिटी चुनें (जितनी ऊँची, फ़ाइल उतनी भारी पर आवाज़ बेहतर), और नीचे बॉट की भाषा:',
+    'settings.q96': '🚀 तेज़ (96kbps)',
+    'settings.q160': '⚖️ संतुलित (160kbps)',
+    'settings.q320': '🎧 हाई (320kbps)',
+    'settings.qualitySet': 'क्वालिटी {quality}kbps सेट हो गई',
+    'settings.langAuto': '🌐 ऑटो (Telegram की भाषा)',
+    'settings.langSet': 'ठीक है, अब हिन्दी में बात करेंगे ✅',
+
+    'song.notFound': 'गाना नहीं मिला 😢',
+    'album.notFound': 'एल्बम नहीं मिला 😢',
+    'playlist.notFound': 'प्लेलिस्ट नहीं मिली 😢',
+    'artist.notFound': 'कलाकार नहीं मिला 😢',
+    'link.matched': '🔗 {platform}: {title}\nJioSaavn पर सबसे मिलता-जुलता यह है 👇',
+    'link.noMatch': '🔗 {platform}: {title}\nJioSaavn पर इसका मिलान नहीं मिला 😕',
+    'link.unreadable': '{platform} लिंक से गाने का नाम नहीं मिल पाया 😕',
+    'link.unknown': 'यह लिंक नहीं खुल रहा: {url}',
+    'link.tooMany': 'एक संदेश में सिर्फ़ पहले {max} लिंक खोले जाते हैं।',
+    'artist.noSongs': 'कोई गाना नहीं मिला 😢',
+    'artist.noAlbums': 'कोई एल्बम नहीं मिला 😢',
+    'artist.followers': '{count} फ़ॉलोअर्स',
+    'artist.songsTitle': '🎵 *{name}* – टॉप गाने',
+    'artist.albumsTitle': '📀 *{name}* – एल्बम',
+    'artist.similarTitle': '👥 *{name}* जैसे कलाकार',
+    'artist.noSimilar': 'मिलते-जुलते कलाकार नहीं मिले 😅',
+    'artist.topTitle': '{name} – टॉप 10',
+    'song.hint': '_नीचे के बटन से डाउनलोड करें या मिलते-जुलते गाने देखें।_',
+    'list.hint': 'किसी भी गाने पर टैप करके अलग से डाउनलोड करें, या "सब डाउनलोड" / "ZIP" दबाएँ।',
+    'similar.title': 'मिलते-जुलते गाने',
+    'similar.none': 'मिलते-जुलते गाने नहीं मिले 😅',
+    'lyrics.title': '📝 {title} – {artist}',
+    'lyrics.none': 'इस गाने के बोल उपलब्ध नहीं हैं 😶',
+    'lyrics.more': '…बाकी बोल नीचे के लिंक पर 👇',
+    'tracks.header': '*{title}* • गाने {from}–{to} / {total}',
+    'tracks.askRange': 'कौन से गाने चाहिए? रेंज भेजें, जैसे 11-25 (कुल {total})',
+    'tracks.badRange': 'रेंज समझ नहीं आई 😅 1 से {total} के बीच भेजें, जैसे 11-25',
+    'tracks.confirmRange': 'गाने {from}–{to} ({count}) – कैसे चाहिए?',
+    'tracks.rangeTitle': '{title} ({from}–{to})',
+
+    'btn.download': '⬇️ डाउनलोड',
+    'btn.similar': '✨ मिलते-जुलते',
+    'btn.lyrics': '📝 बोल',
+    'btn.fullLyrics': '📄 पूरे बोल',
+    'btn.favorite': '❤️ पसंदीदा',
+    'btn.unfavorite': '💔 पसंद से हटाएँ',
+    'btn.addToPlaylist': '➕ प्लेलिस्ट',
+    'btn.downloadAll': '⬇️ सब डाउनलोड',
+    'btn.zip': '🗜 ZIP',
+    'btn.songs': '🎵 टॉप गाने',
+    'btn.albums': '📀 एल्बम',
+    'btn.downloadTop': '⬇️ टॉप {count} डाउनलोड',
+    'btn.similarArtists': '👥 मिलते-जुलते कलाकार',
+    'btn.cancel': '✖️ रद्द करें',
+    'btn.retrySkipped': '🔁 छूटे {count} फिर से',
+    'btn.openSong': '🎧 Groovia में खोलें',
+    'btn.openAlbum': '📀 एल्बम Groovia में खोलें',
+
+    'download.started': 'डाउनलोड हो रहा है…',
+    'download.fetching': '⏳ आपके लिए हाई-क्वालिटी ऑडियो ला रहा हूँ...',
+    'download.missing': 'डाउनलोड लिंक नहीं मिला 😢',
+    'download.failed': 'Telegram पर फ़ाइल भेजते समय गड़बड़ हो गई 😢',
+    'download.caption': '🎵 {title}\n👤 {artist}\n\n@GrooviaBot से डाउनलोड किया',
+
+    'bulk.none': 'डाउनलोड के लिए कोई गाना नहीं मिला 😢',
+    'bulk.queued': 'डाउनलोड कतार में है…',
+    'bulk.tooMany': 'आपके {count} डाउनलोड पहले से कतार में हैं, उन्हें पूरा होने दें 🙏',
+    'bulk.zipping': 'ZIP बन रहा है…',
+    'job.queued': '🕒 कतार में: {title}\n{total} गाने, जल्द शुरू होगा…',
+    'job.progress.sent': '{done}/{total} भेजे गए',
+    'job.progress.packed': '{done}/{total} पैक हुए',
+    'job.skipped': ' • {count} छूटे',
+    'job.capped': '\n(सिर्फ़ पहले {max} गाने, कुल {count} थे)',
+    'job.cancelled': '✖️ रद्द: {title}',
+    'job.done': '✅ पूरा: {title}',
+    'job.skippedList': 'छूटे गाने:',
+    'job.more': '…और {count}',
+    'job.inactive': 'यह डाउनलोड अब चालू नहीं है',
+    'job.cancelling': 'रद्द कर रहे हैं…',
+    'job.noRetry': 'अब दोबारा कोशिश नहीं हो सकती',
+    'job.retrying': 'छूटे गाने दोबारा आज़मा रहे हैं…',
+    'job.retryTitle': '{title} (दोबारा)',
+    'zip.caption': '🗜 {title} • भाग {part} • {count} गाने',
+
+    'lib.title': 'मेरी लाइब्रेरी',
+    'lib.favorites': '❤️ पसंदीदा',
+    'lib.noPlaylists': 'अभी कोई प्लेलिस्ट नहीं है',
+    'lib.newPlaylist': '➕ नई प्लेलिस्ट',
+    'lib.gone': 'यह प्लेलिस्ट अब मौजूद नहीं है 😢',
+    'lib.listEmpty': 'अभी खाली है – किसी गाने पर ❤️ या ➕ दबाएँ।',
+    'lib.maxFavorites': 'पसंदीदा में ज़्यादा से ज़्यादा {max} गाने रख सकते हैं',
+    'lib.maxSongs': 'एक प्लेलिस्ट में ज़्यादा से ज़्यादा {max} गाने',
+    'lib.maxPlaylists': 'ज़्यादा से ज़्यादा {max} प्लेलिस्ट बना सकते हैं',
+    'lib.notFound': 'प्लेलिस्ट नहीं मिली',
+    'lib.nameEmpty': 'नाम खाली नहीं हो सकता, दोबारा भेजें ✏️',
+    'lib.created': '📂 प्लेलिस्ट "{name}" बन गई ✅',
+    'lib.renamed': '✏️ नया नाम: "{name}"',
+    'lib.favAdded': 'पसंदीदा में जुड़ गया ❤️',
+    'lib.favRemoved': 'पसंदीदा से हटा दिया',
+    'lib.pickPlaylist': 'किस प्लेलिस्ट में जोड़ूँ?',
+    'lib.added': '"{name}" में जुड़ गया ✅',
+    'lib.askName': 'नई प्लेलिस्ट का नाम भेजें ✏️',
+    'lib.askRename': 'प्लेलिस्ट का नया नाम भेजें ✏️',
+    'lib.confirmDelete': '"{name}" डिलीट कर दूँ? यह वापस नहीं आएगी।',
+    'lib.deleted': 'प्लेलिस्ट डिलीट हो गई',
+    'lib.removed': 'हटा दिया',
+    'lib.empty': 'प्लेलिस्ट खाली है',
+    'btn.edit': '✏️ बदलें',
+    'btn.done': '✅ हो गया',
+    'btn.rename': '✏️ नाम बदलें',
+    'btn.deletePlaylist': '🗑 प्लेलिस्ट डिलीट',
+    'btn.confirmDelete': '🗑 हाँ, डिलीट करें',
+    'btn.keep': 'रहने दें',
+    'btn.library': '« लाइब्रेरी',
+    'btn.back': '« वापस',
+    'btn.range': '🎯 रेंज डाउनलोड',
+
+    'import.prompt':
+      '📥 किसी दूसरे ऐप की प्लेलिस्ट फ़ाइल भेजें – CSV, JSON या M3U, हर पंक्ति में गाना और कलाकार।\n' +
+      'Spotify के लिए Exportify की CSV सीधे चल जाएगी। ज़्यादा से ज़्यादा {max} गाने।',
+    'import.badType': 'यह फ़ाइल नहीं पढ़ सकता 😅 .csv, .json या .m3u भेजें।',
+    'import.tooBig': 'फ़ाइल बहुत बड़ी है, ज़्यादा से ज़्यादा {max} KB 😅',
+    'import.unreadable': 'इस फ़ाइल से प्लेलिस्ट नहीं पढ़ पाया 😕',
+    'import.empty': 'फ़ाइल में एक भी गाना नहीं मिला 😶',
+    'import.truncated': 'फ़ाइल में {total} गाने हैं, पहले {max} इम्पोर्ट करूँगा।',
+    'import.busy': 'पिछली फ़ाइल अभी मिलाई जा रही है, थोड़ा रुकें 🙏',
+    'import.progress': '🔎 गाने ढूँढ रहा हूँ… {done}/{total}',
+    'import.summary': '✅ {sure} पक्के • ⚠️ {unsure} जाँच लें • ❌ {missing} नहीं मिले',
+    'import.noMatch': 'JioSaavn पर नहीं मिला',
+    'import.pickFor': 'इसके लिए सही गाना चुनें:',
+    'import.noCandidates': 'इसके जैसा कोई गाना नहीं मिला',
+    'import.expired': 'यह इम्पोर्ट अब खुला नहीं है, फ़ाइल फिर से भेजें',
+    'import.nothingToSave': 'एक भी गाना मेल नहीं खाया, सेव करने को कुछ नहीं',
+    'import.saved': '📂 "{name}" में {count} गाने सेव हो गए ✅ ({skipped} छूट गए)',
+    'import.cancelled': 'इम्पोर्ट रद्द हो गया',
+    'btn.import': '📥 इम्पोर्ट',
+    'btn.saveImport': '💾 प्लेलिस्ट सेव करें',
+    'btn.skipImport': '🚫 छोड़ दें',
+
+    'group.help':
+      'ग्रुप में मैं सिर्फ़ कमांड और मेंशन का जवाब देता हूँ 🎧\n\n' +
+      '• /song <नाम> – गाने खोजें\n' +
+      '• /album <नाम> – एल्बम खोजें\n' +
+      '• @{bot} <नाम> – सीधे गाना खोजें\n' +
+      '• गाने पर "➕ कतार" दबाएँ – ग्रुप की कतार में जोड़ें\n' +
+      '• /queue – कतार देखें, ⏭ छोड़ने या 📌 पिन करने के लिए वोट करें\n' +
+      '• /groupsettings – क्वालिटी, बल्क डाउनलोड और वोट (सिर्फ़ एडमिन)',
+    'group.usage.song': 'ऐसे लिखें: /song tum hi ho',
+    'group.usage.album': 'ऐसे लिखें: /album aashiqui 2',
+    'group.only': 'यह सिर्फ़ ग्रुप में चलता है 🙂',
+    'group.adminOnly': 'यह सिर्फ़ ग्रुप एडमिन कर सकते हैं 🙂',
+    'group.bulkDenied': 'इस ग्रुप में पूरा एल्बम/प्लेलिस्ट सिर्फ़ एडमिन डाउनलोड कर सकते हैं 🙂',
+    'group.queueTitle': '🎶 ग्रुप की कतार',
+    'group.nowPlaying': '▶️ अभी चल रहा है: {song}',
+    'group.skipVotes': '⏭ छोड़ने के वोट: {votes}/{needed}',
+    'group.upNext': 'आगे:',
+    'group.queueEmpty': 'कतार खाली है – /song से कुछ जोड़ें 🎵',
+    'group.addedBy': '{name} ने जोड़ा',
+    'group.queued': 'कतार में #{pos} पर जुड़ गया ✅',
+    'group.alreadyQueued': 'यह गाना पहले से कतार में है',
+    'group.queueFull': 'कतार भर गई है, ज़्यादा से ज़्यादा {max} गाने',
+    'group.trackGone': 'यह गाना अब कतार में नहीं है',
+    'group.alreadyPinned': 'यह पहले से पिन है',
+    'group.skipVoted': 'छोड़ने का वोट {votes}/{needed}',
+    'group.pinVoted': 'पिन वोट {votes}/{needed}',
+    'group.pinned': '📌 पिन हो गया, अब यह आगे है',
+    'group.playing': 'चला रहा हूँ…',
+    'group.settingsTitle':
+      '⚙️ ग्रुप सेटिंग्स\n\nअधिकतम क्वालिटी: {quality}kbps\nबल्क डाउनलोड: {bulk}\nछोड़ने/पिन के लिए वोट: {votes}',
+    'group.bulk.all': 'सभी सदस्य',
+    'group.bulk.admins': 'सिर्फ़ एडमिन',
+    'group.settingsSaved': 'सेव हो गया ✅',
+    'btn.queue': '➕ कतार',
+    'btn.playNext': '▶️ अगला चलाएँ',
+    'btn.skip': '⏭ छोड़ें ({votes}/{needed})',
+    'btn.refresh': '🔄 ताज़ा करें',
+    'btn.bulkAll': '👥 बल्क: सभी',
+    'btn.bulkAdmins': '🛡 बल्क: एडमिन',
+    'btn.votes': '🗳 {n} वोट',
+
+    'mix.title': '✨ आपके लिए',
+    'mix.dailyTitle': '✨ आपका डेली मिक्स',
+    'mix.weeklyTitle': '✨ आपका वीकली मिक्स',
+    'mix.basedOn': '_इन गानों के आधार पर: {names}_',
+    'mix.empty': 'अभी आपकी पसंद का पता नहीं 🙂 कुछ गाने सुनें या डाउनलोड करें, फिर मैं मिक्स बनाऊँगा।',
+    'mix.none': 'अभी मिक्स के लिए कुछ नया नहीं मिला 😅 थोड़ी देर बाद कोशिश करें।',
+    'mix.jobTitle': 'आपके लिए मिक्स',
+    'digest.title':
+      '🔔 डेली/वीकली मिक्स\n\nअभी: {status}\nसमय: {hour}:00 ({tz})\n\n' +
+      'वीकली मिक्स रविवार को आता है। कोई और टाइम ज़ोन? ऐसे भेजें: /timezone Europe/Berlin',
+    'digest.status.off': 'बंद',
+    'digest.status.daily': 'रोज़',
+    'digest.status.weekly': 'हर हफ़्ते',
+    'digest.saved': 'सेव हो गया ✅',
+    'digest.tzSet': 'टाइम ज़ोन {tz} सेट हो गया ✅',
+    'digest.tzBad': 'यह टाइम ज़ोन समझ नहीं आया 😅 ऐसे लिखें: /timezone Asia/Kolkata',
+    'btn.refreshMix': '🔄 नया मिक्स',
+    'btn.digest': '🔔 डेली/वीकली मिक्स',
+    'btn.digestOff': '🔕 बंद',
+    'btn.digestDaily': '📅 रोज़',
+    'btn.digestWeekly': '🗓 हर हफ़्ते',
+
+    'admin.stats': '📊 *बॉट आँकड़े*\nदेखे गए यूज़र: {users}\nअनुरोध: {requests}\nडाउनलोड: {downloads}\nकैश: {hits} हिट, {misses} मिस, {coalesced} जोड़े गए ({cacheRate}%)\nफ़ाइल दोबारा इस्तेमाल: {reused}/{sends} भेजे ({reuseRate}%), {cached} कैश में\nUpstream: {upstream}',
+    'admin.upstreamOk': 'ठीक 🟢',
+    'admin.upstreamOpen': 'circuit खुला 🔴',
+    'admin.banUsage': 'इस्तेमाल: /ban <userId> [कारण]',
+    'admin.banSelf': 'आप ख़ुद को बैन नहीं कर सकते 🙂',
+    'admin.banned': '🚫 {id} बैन कर दिया।',
+    'admin.unbanUsage': 'इस्तेमाल: /unban <userId>',
+    'admin.notBanned': '{id} बैन नहीं था।',
+    'admin.unbanned': '✅ {id} से बैन हटा दिया।',
+    'admin.offenderLine': '{id} {who} • {hits} बार रोका ({category}, {ago} मिनट पहले)',
+    'admin.offenders': '🚦 पिछले 24 घंटे में रोके गए\n{offenders}\n\n🚫 बैन ({count})\n{banned}',
+    'admin.none': 'कोई नहीं',
+    'broadcast.usage': 'इस्तेमाल:\n/broadcast [lang:hi] [active:7d] संदेश\nया किसी फ़ोटो/ऑडियो संदेश के जवाब में /broadcast [filters]\nबटन: अलग लाइन में [Label](https://link)',
+    'broadcast.badActive': 'active: फ़िल्टर ऐसे लिखें: active:12h या active:7d',
+    'broadcast.badLang': 'lang: फ़िल्टर इनमें से एक हो: {locales}',
+    'broadcast.preview': '👀 झलक:',
+    'broadcast.audience': '📢 दर्शक: {count} यूज़र ({filters})\nभेज दूँ?',
+    'broadcast.filterLang': 'भाषा {lang}',
+    'broadcast.filterActive': 'पिछले {active} में सक्रिय',
+    'broadcast.filterAll': 'सभी यूज़र',
+    'broadcast.running': '📢 ब्रॉडकास्ट चल रहा है…',
+    'broadcast.cancelled': '✖️ ब्रॉडकास्ट रद्द',
+    'broadcast.done': '✅ ब्रॉडकास्ट पूरा',
+    'broadcast.report': '{head}\n{done}/{total} {secs} सेकंड में\nपहुँचे: {sent}\nब्लॉक / हटे: {blocked}\nविफल: {failed}',
+    'broadcast.expired': 'यह ब्रॉडकास्ट पुराना हो गया',
+    'broadcast.alreadySent': 'पहले ही भेज दिया',
+    'broadcast.sending': 'भेज रहा हूँ…',
+    'broadcast.cancelledToast': 'रद्द',
+    'broadcast.cancelledPreview': '✖️ ब्रॉडकास्ट रद्द कर दिया।',
+    'broadcast.stopping': 'रोक रहा हूँ…',
+    'btn.broadcastSend': '✅ {count} को भेजें',
+    'btn.stop': '✖️ रोकें',
+
+    'wait.sec': '{n} सेकंड',
+    'wait.min': '{n} मिनट',
+    'limit.bulk': 'बल्क डाउनलोड की सीमा पूरी हो गई 😅 {wait} बाद कोशिश करें।',
+    'limit.download': 'थोड़ा धीरे 😅 अगला डाउनलोड {wait} बाद।',
+    'limit.mix': 'नया मिक्स बनने में समय लगता है 😅 {wait} बाद कोशिश करें।',
+    'limit.search': 'इतनी जल्दी-जल्दी? 😅 {wait} रुककर कोशिश करें।',
+
+    'error.unavailable': 'JioSaavn अभी बंद लग रहा है 😵 थोड़ी देर बाद कोशिश करें।',
+    'error.timeout': 'JioSaavn बहुत धीमा चल रहा है ⏳ दोबारा कोशिश करें।',
+    'error.saavn': 'JioSaavn से डेटा लाते समय गड़बड़ हो गई 😢 दोबारा कोशिश करें।',
+    'error.generic': 'उफ़, कुछ गड़बड़ हो गई 😢 दोबारा कोशिश करें।'
+  }
+};
+
+export function detectLocale(languageCode) {
+  const base = String(languageCode || '').toLowerCase().split('-')[0];
+  if (base === 'hi') return 'hi';
+  if (base === 'en') return 'en';
+  return DEFAULT_LOCALE;
+}
+
+// an explicit choice from ⚙️ Settings wins over Telegram's language
+export function localeFor(u, languageCode = u?.languageCode) {
+  return u?.lang || detectLocale(languageCode);
+}
+
+function template(locale, key) {
+  return MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? MESSAGES.en[key] ?? key;
+}
+
+export function t(locale, key, vars = {}) {
+  return template(locale, key).replace(/\{(\w+)\}/g, (m, name) =>
+    name in vars ? String(vars[name]) : m
+  );
+}
+
+// like t() for MarkdownV2 messages: everything is escaped except the
+// catalog's own *bold* / _italic_ markers, variables are escaped fully
+export function tmd(locale, key, vars = {}) {
+  return template(locale, key)
+    .split(/(\{\w+\})/)
+    .map((part) => {
+      const name = part.match(/^\{(\w+)\}$/)?.[1];
+      if (name && name in vars) return escapeMd(String(vars[name]));
+      return part.replace(/[[\]()~`>#+\-=|{}.!]/g, '\\$&');
+    })
+    .join('');
+}
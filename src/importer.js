@@ -0,0 +1,217 @@
+import path from 'path';
+
+/* ------------------------------------------------------------------ */
+/*  PLAYLIST FILES                                                     */
+/* ------------------------------------------------------------------ */
+
+// exported playlists from other services -> [{title, artist, duration}].
+// CSV (Exportify and most converters), JSON (Spotify API dumps or a
+// plain list) and M3U (#EXTINF lines); durations are in seconds, 0 when
+// the file doesn't say
+
+export const IMPORT_EXTENSIONS = ['.csv', '.json', '.m3u', '.m3u8', '.txt'];
+export const MAX_IMPORT_BYTES = 512 * 1024;
+export const MAX_IMPORT_TRACKS = 200;
+
+// thrown for files we can't make sense of; the bot answers import.unreadable
+export class ImportFormatError extends Error {}
+
+// lower-cased header -> field, first match per field wins
+const CSV_COLUMNS = {
+  title: ['track name', 'title', 'name', 'song', 'track', 'song name'],
+  artist: ['artist name(s)', 'artist name', 'artists', 'artist', 'primary artist'],
+  durationMs: ['duration (ms)', 'duration_ms', 'duration ms'],
+  duration: ['duration', 'length', 'time']
+};
+
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// "3:45", "225", "225000" (ms) -> seconds
+function parseDuration(value, inMs = false) {
+  const text = cleanText(value);
+  if (!text) return 0;
+  if (text.includes(':')) {
+    return text.split(':').reduce((total, part) => total * 60 + (Number(part) || 0), 0);
+  }
+  const n = Number(text);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.round(inMs || n > 10000 ? n / 1000 : n);
+}
+
+function entry(title, artist, duration) {
+  return { title: cleanText(title), artist: cleanText(artist), duration };
+}
+
+/* ---------- CSV ---------- */
+
+// RFC 4180: quoted fields may hold the delimiter, quotes ("") and newlines
+function csvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && !field) {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  );
+  const rows = csvRows(text, delimiter);
+  if (!rows.length) return [];
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const column = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const idx = names.map((n) => header.indexOf(n)).find((i) => i !== -1);
+    if (idx !== undefined) column[field] = idx;
+  }
+  // no header we know: "title, artist[, duration]" rows
+  const body = column.title === undefined ? rows : rows.slice(1);
+  if (column.title === undefined) Object.assign(column, { title: 0, artist: 1, duration: 2 });
+
+  return body.map((r) =>
+    entry(
+      r[column.title],
+      // Exportify joins several artists with commas inside the field
+      (r[column.artist] || '').split(/\s*[,;]\s*/)[0],
+      column.durationMs !== undefined
+        ? parseDuration(r[column.durationMs], true)
+        : parseDuration(r[column.duration])
+    )
+  );
+}
+
+/* ---------- JSON ---------- */
+
+function artistText(value) {
+  if (Array.isArray(value)) return artistText(value[0]);
+  if (value && typeof value === 'object') return value.name || '';
+  return value || '';
+}
+
+function jsonEntry(item) {
+  if (typeof item === 'string') return textEntry(item);
+  if (!item || typeof item !== 'object') return null;
+  // Spotify: {track: {name, artists: [{name}], duration_ms}}
+  const track = item.track && typeof item.track === 'object' ? item.track : item;
+  const title = track.title || track.name || track.trackName || track.track || track.song;
+  if (!title || typeof title !== 'string') return null;
+  const artist = artistText(track.artist ?? track.artists ?? track.artistName ?? track.primaryArtists);
+  const duration =
+    track.duration_ms !== undefined || track.durationMs !== undefined
+      ? parseDuration(track.duration_ms ?? track.durationMs, true)
+      : parseDuration(track.duration ?? track.length);
+  return entry(title, artist, duration);
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    throw new ImportFormatError('Not valid JSON');
+  }
+  const list = Array.isArray(data)
+    ? data
+    : data?.tracks?.items || data?.tracks || data?.items || data?.songs || [];
+  if (!Array.isArray(list)) throw new ImportFormatError('No track list in JSON');
+  return { name: typeof data?.name === 'string' ? data.name : null, entries: list.map(jsonEntry) };
+}
+
+/* ---------- M3U / plain text ---------- */
+
+// "Artist - Title" (file names and #EXTINF titles), anything else is a title
+function textEntry(text, duration = 0) {
+  const base = cleanText(text.replace(/^.*[\\/]/, '').replace(/\.(mp3|m4a|flac|aac|ogg|wav|opus)$/i, ''));
+  const split = base.indexOf(' - ');
+  if (split === -1) return entry(base, '', duration);
+  return entry(base.slice(split + 3), base.slice(0, split), duration);
+}
+
+function parseM3u(text) {
+  let name = null;
+  let pending = null; // the #EXTINF waiting for its path line
+  const entries = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('#PLAYLIST:')) {
+      name = cleanText(line.slice(10)) || null;
+    } else if (line.startsWith('#EXTINF:')) {
+      const m = line.match(/^#EXTINF:\s*(-?\d+)[^,]*,(.*)$/);
+      if (m) pending = textEntry(m[2], Math.max(0, Number(m[1])));
+    } else if (!line.startsWith('#')) {
+      entries.push(pending || textEntry(decodeURIComponentSafe(line)));
+      pending = null;
+    }
+  }
+  if (pending) entries.push(pending);
+  return { name, entries };
+}
+
+function decodeURIComponentSafe(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (_) {
+    return text;
+  }
+}
+
+/* ---------- entry point ---------- */
+
+export function isImportFile(fileName = '') {
+  return IMPORT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// -> {name, entries, total}: at most MAX_IMPORT_TRACKS entries with a
+// title, `total` counts them all so callers can say what was cut
+export function parsePlaylistFile(fileName, text) {
+  const ext = path.extname(fileName).toLowerCase();
+  const body = text.replace(/^\uFEFF/, ''); // Excel's byte order mark
+  let parsed;
+  if (ext === '.json') parsed = parseJson(body);
+  else if (ext === '.csv') parsed = { name: null, entries: parseCsv(body) };
+  else if (ext === '.m3u' || ext === '.m3u8' || ext === '.txt') parsed = parseM3u(body);
+  else throw new ImportFormatError(`Unsupported file type ${ext || '(none)'}`);
+
+  const entries = parsed.entries.filter((e) => e?.title);
+  return {
+    name: cleanText(parsed.name || path.basename(fileName, path.extname(fileName))).slice(0, 40) || 'Import',
+    entries: entries.slice(0, MAX_IMPORT_TRACKS),
+    total: entries.length
+  };
+}
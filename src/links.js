@@ -0,0 +1,227 @@
+import fetch from 'node-fetch';
+import { log } from './log.js';
+import { MINUTE, cacheGet, cacheSet } from './saavn.js';
+
+/* ------------------------------------------------------------------ */
+/*  LINK RESOLVER                                                      */
+/* ------------------------------------------------------------------ */
+
+// every URL in a message is classified on its own: JioSaavn links open
+// directly, short links are followed to where they redirect, Spotify and
+// YouTube (Music) links become a title + artist via oEmbed that the bot
+// then looks up on JioSaavn
+
+export const MAX_LINKS_PER_MESSAGE = 5;
+const MAX_REDIRECTS = 5;
+const LINK_TIMEOUT_MS = 8000;
+const LINK_CACHE_TTL = 24 * 60 * MINUTE;
+
+// first matching path prefix wins
+const SAAVN_PATHS = [
+  ['song/', 'song'],
+  ['album/', 'album'],
+  ['featured/', 'playlist'],
+  ['s/playlist/', 'playlist'],
+  ['artist/', 'artist']
+];
+
+const SHORT_HOSTS = new Set(['spotify.link', 'spoti.fi', 'jsav.in']);
+
+export const PLATFORM_NAMES = { saavn: 'JioSaavn', spotify: 'Spotify', youtube: 'YouTube Music' };
+
+const OEMBED = {
+  spotify: (url) => `https://open.spotify.com/oembed?url=${encodeURIComponent(url)}`,
+  youtube: (url) => `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(url)}`
+};
+
+// "see https://x.y/z." -> "https://x.y/z", bare "jiosaavn.com/…" included
+export function extractUrls(text) {
+  const found = text.match(/\b(?:https?:\/\/|(?:www\.)?jiosaavn\.com\/)[^\s<>"]+/gi) || [];
+  const urls = found.map((raw) => {
+    const trimmed = raw.replace(/[.,;:!?)\]}'"]+$/, '');
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  });
+  return [...new Set(urls)];
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (_) {
+    return null;
+  }
+}
+
+// -> {source, type, url} | {source: 'short', url} | null when it isn't music
+export function classifyLink(url) {
+  const u = parseUrl(url);
+  if (!u) return null;
+  const host = u.hostname.toLowerCase().replace(/^www\./, '');
+  const path = u.pathname.replace(/^\/+/, '');
+
+  if (host === 'jiosaavn.com' || host === 'saavn.com') {
+    const rule = SAAVN_PATHS.find(([prefix]) => path.startsWith(prefix));
+    if (rule) return { source: 'saavn', type: rule[1], url };
+    if (path.startsWith('s/')) return { source: 'short', url };
+    return null;
+  }
+
+  if (host === 'open.spotify.com') {
+    // /intl-de/track/… is the same track as /track/…
+    const m = path.replace(/^intl-[\w-]+\//, '').match(/^(track|album|playlist)\/\w+/);
+    if (!m) return null;
+    return { source: 'spotify', type: m[1] === 'track' ? 'song' : m[1], url };
+  }
+
+  if (host === 'music.youtube.com' || host === 'youtube.com' || host === 'm.youtube.com') {
+    if (path === 'watch' && u.searchParams.get('v')) return { source: 'youtube', type: 'song', url };
+    if (path === 'playlist' && u.searchParams.get('list')) {
+      return { source: 'youtube', type: 'playlist', url };
+    }
+    return null;
+  }
+  if (host === 'youtu.be' && path) {
+    return { source: 'youtube', type: 'song', url: `https://music.youtube.com/watch?v=${path}` };
+  }
+
+  if (SHORT_HOSTS.has(host)) return { source: 'short', url };
+  return null;
+}
+
+// the URL a chain of HTTP redirects ends at, cached because share
+// links get pasted again and again
+export async function followRedirects(url) {
+  const key = `redirect:${url}`;
+  const cached = cacheGet(key);
+  if (cached !== undefined) return cached;
+
+  let current = url;
+  for (let hop = 0; hop < MAX_REDIRECTS; hop += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LINK_TIMEOUT_MS);
+    let res;
+    try {
+      res = await fetch(current, { redirect: 'manual', signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+    res.body?.destroy?.(); // only the headers matter
+    const location = res.headers.get('location');
+    if (res.status < 300 || res.status >= 400 || !location) break;
+    current = new URL(location, current).toString();
+  }
+
+  cacheSet(key, current, LINK_CACHE_TTL);
+  return current;
+}
+
+// short links become whatever they point at, null if that isn't music either
+export async function resolveLink(link) {
+  if (link.source !== 'short') return link;
+  try {
+    const target = classifyLink(await followRedirects(link.url));
+    return target?.source === 'short' ? null : target;
+  } catch (e) {
+    log.warn('Short link did not resolve', { url: link.url, err: e });
+    return null;
+  }
+}
+
+// {title, artist} of a Spotify / YouTube item, artist may be empty
+export async function externalMeta(link) {
+  const key = `oembed:${link.url}`;
+  const cached = cacheGet(key);
+  if (cached !== undefined) return cached;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LINK_TIMEOUT_MS);
+  let data;
+  try {
+    const res = await fetch(OEMBED[link.source](link.url), { signal: controller.signal });
+    if (!res.ok) throw new Error(`oEmbed error ${res.status}`);
+    data = await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const meta = {
+    title: String(data.title || '').trim(),
+    // YouTube's auto-generated artist channels are called "Name - Topic"
+    artist: String(data.author_name || '').replace(/\s+-\s+Topic$/i, '').trim()
+  };
+  if (link.source === 'youtube' && meta.title.includes(' - ') && link.type === 'song') {
+    // music videos: "Artist - Title (Official Video)"
+    const [artist, ...rest] = meta.title.split(' - ');
+    if (!meta.artist || meta.artist.toLowerCase().includes(artist.toLowerCase())) {
+      meta.artist = artist.trim();
+      meta.title = rest.join(' - ').trim();
+    }
+  }
+  cacheSet(key, meta, LINK_CACHE_TTL);
+  return meta;
+}
+
+/* ---------- fuzzy matching ---------- */
+
+// lower case, no brackets ("(From "Aashiqui 2")", "[Official Video]"),
+// no "feat." tail, only letters and digits
+export function normalizeTitle(text = '') {
+  return String(text)
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .replace(/\b(?:feat|ft)\.?\s.*$/, ' ')
+    .replace(/&amp;|&quot;|&#039;/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function tokenSet(text) {
+  return new Set(normalizeTitle(text).split(' ').filter(Boolean));
+}
+
+// Dice coefficient on words, 1 = same words
+export function similarity(a, b) {
+  const x = tokenSet(a);
+  const y = tokenSet(b);
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const word of x) if (y.has(word)) shared += 1;
+  return (2 * shared) / (x.size + y.size);
+}
+
+// 1 within a couple of seconds, 0 when half a minute or more apart
+function durationScore(a, b) {
+  const gap = Math.abs(Number(a) - Number(b));
+  return Math.max(0, 1 - Math.max(0, gap - 2) / 30);
+}
+
+export const MIN_MATCH_SCORE = 0.5;
+
+// title always counts, artist and duration only when both sides know them
+export function matchScore(query, candidate) {
+  let total = similarity(query.title, candidate.title) * 0.6;
+  let weight = 0.6;
+  if (query.artist) {
+    total += similarity(query.artist, candidate.artist) * 0.25;
+    weight += 0.25;
+  }
+  if (query.duration > 0 && candidate.duration > 0) {
+    total += durationScore(query.duration, candidate.duration) * 0.15;
+    weight += 0.15;
+  }
+  return total / weight;
+}
+
+// every item scored against {title, artist, duration}, best first;
+// describe(item) -> the same shape for a candidate
+export function rankMatches(query, items, describe) {
+  return items
+    .map((item) => ({ item, score: matchScore(query, describe(item)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// {item, score} of the best candidate, null when nothing is close enough
+export function bestMatch(query, items, describe) {
+  const [best] = rankMatches(query, items, describe);
+  return best && best.score >= MIN_MATCH_SCORE ? best : null;
+}
@@ -0,0 +1,127 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { LOG_LEVEL } from './config.js';
+
+/* ------------------------------------------------------------------ */
+/*  LOGGING + METRICS                                                  */
+/* ------------------------------------------------------------------ */
+
+// one JSON object per line; `cid` ties together everything logged while
+// handling a single Telegram update (including bulk jobs it started)
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+export const logContext = new AsyncLocalStorage();
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info)) return;
+  const { err, ...rest } = fields;
+  const line = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    ...logContext.getStore(),
+    ...rest
+  };
+  if (err) line.err = { name: err.name, message: err.message, stack: err.stack };
+  (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(
+    JSON.stringify(line) + '\n'
+  );
+}
+
+export const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields)
+};
+
+// minimal Prometheus text exposition, enough for counters and histograms
+
+const metricRegistry = [];
+
+function labelKey(labelNames, labels) {
+  return labelNames.map((n) => String(labels[n] ?? '')).join('\u0000');
+}
+
+function renderLabels(labelNames, key, extra = '') {
+  const values = key.split('\u0000');
+  const pairs = labelNames.map(
+    (n, i) => `${n}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+export function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, v] of values) lines.push(`${name}${renderLabels(labelNames, key)} ${v}`);
+      return lines.join('\n');
+    }
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+export function createGauge(name, help, collect) {
+  const metric = {
+    render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`].join('\n');
+    }
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+  const series = new Map(); // Map<key, {counts, sum, count}>
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((b, i) => {
+        if (value <= b) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+    },
+    // resolves/rejects like fn, recording how long it took either way
+    async time(labels, fn) {
+      const start = process.hrtime.bigint();
+      try {
+        return await fn();
+      } finally {
+        metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        buckets.forEach((b, i) => {
+          lines.push(`${name}_bucket${renderLabels(labelNames, key, `le="${b}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${renderLabels(labelNames, key, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${renderLabels(labelNames, key)} ${s.sum}`);
+        lines.push(`${name}_count${renderLabels(labelNames, key)} ${s.count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+export function renderMetrics() {
+  return metricRegistry.map((m) => m.render()).join('\n\n') + '\n';
+}
@@ -0,0 +1,131 @@
+/* ------------------------------------------------------------------ */
+/*  SEARCH QUERY SYNTAX                                                */
+/* ------------------------------------------------------------------ */
+
+// `tum hi ho lang:hindi year:2010-2015 artist:"Arijit Singh" dur:<5:00`
+// -> {text: 'tum hi ho', filters: {lang, year, artist, album, duration}}.
+// Years and durations are {from, to} / {min, max} ranges with either end
+// optional; durations are seconds. Unknown keys stay part of the text.
+
+const KEYS = {
+  lang: 'lang',
+  language: 'lang',
+  year: 'year',
+  artist: 'artist',
+  album: 'album',
+  dur: 'duration',
+  duration: 'duration',
+  length: 'duration'
+};
+
+// canonical order, also the order filters are shown in
+export const FILTER_KEYS = ['lang', 'year', 'artist', 'album', 'duration'];
+
+const TOKEN_RE = /(?:^|\s)(\w+):(?:"([^"]*)"|(\S+))/g;
+
+// "a-b", "a-", "-b", ">a", "<b", "a" -> [from, to, strict] with raw
+// strings, strict when ">" / "<" leave the bound itself out
+function splitRange(value) {
+  if (value.startsWith('>')) return [value.slice(1).replace(/^=/, ''), '', value[1] !== '='];
+  if (value.startsWith('<')) return ['', value.slice(1).replace(/^=/, ''), value[1] !== '='];
+  const m = value.match(/^([^-]*)-([^-]*)$/);
+  if (m) return [m[1], m[2], false];
+  return [value, value, false];
+}
+
+function parseYearRange(value) {
+  const [a, b, strict] = splitRange(value);
+  if (![a, b].every((x) => x === '' || /^\d{4}$/.test(x)) || (a === '' && b === '')) return null;
+  let from = a ? Number(a) : null;
+  let to = b ? Number(b) : null;
+  if (strict) {
+    if (from !== null) from += 1;
+    if (to !== null) to -= 1;
+  }
+  if (from !== null && to !== null && from > to) return null;
+  return { from, to };
+}
+
+// "4:30", "4m", "4min", "90s", "240"; bare numbers up to 20 are minutes
+function parseSeconds(text) {
+  const t = text.trim().toLowerCase();
+  let m = t.match(/^(\d+):(\d{1,2})$/);
+  if (m) return Number(m[1]) * 60 + Number(m[2]);
+  m = t.match(/^(\d+(?:\.\d+)?)(m|min|mins|s|sec|secs)?$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  if (m[2]?.startsWith('s')) return Math.round(n);
+  if (m[2] || n <= 20) return Math.round(n * 60);
+  return Math.round(n);
+}
+
+// "<4:00" and "<=4:00" are the same here, seconds are too fine to care
+function parseDurationRange(value) {
+  const [a, b] = splitRange(value);
+  if (a === '' && b === '') return null;
+  // "dur:4" alone means "about 4 minutes", not exactly 4:00
+  const exact = a === b;
+  let min = a ? parseSeconds(a) : null;
+  let max = b ? parseSeconds(b) : null;
+  if ((a && min === null) || (b && max === null)) return null;
+  if (exact) {
+    min -= 30;
+    max += 30;
+  }
+  if (min !== null && max !== null && min > max) return null;
+  return { min: min === null ? null : Math.max(0, min), max };
+}
+
+function parseFilter(key, value) {
+  const v = value.replace(/^"|"$/g, '').trim();
+  if (!v) return null;
+  if (key === 'lang') return /^[\p{L}]+$/u.test(v) ? v.toLowerCase() : null;
+  if (key === 'year') return parseYearRange(v);
+  if (key === 'duration') return parseDurationRange(v);
+  return v.replace(/\s+/g, ' ');
+}
+
+export function parseSearchQuery(query) {
+  const filters = {};
+  const text = String(query).replace(TOKEN_RE, (whole, rawKey, quoted, bare) => {
+    const key = KEYS[rawKey.toLowerCase()];
+    if (!key) return whole;
+    const value = parseFilter(key, quoted ?? bare);
+    if (value !== null) filters[key] = value;
+    // a filter we couldn't read is dropped rather than searched for
+    return ' ';
+  });
+  return { text: text.replace(/\s+/g, ' ').trim(), filters };
+}
+
+function formatSeconds(s) {
+  return s % 60 ? `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}` : `${s / 60}m`;
+}
+
+function formatRange(from, to, format) {
+  if (from === null) return `-${format(to)}`;
+  if (to === null) return `${format(from)}-`;
+  return from === to ? format(from) : `${format(from)}-${format(to)}`;
+}
+
+function quote(value) {
+  return /\s/.test(value) ? `"${value}"` : value;
+}
+
+// filters back to query syntax, one token each
+export function formatFilters(filters) {
+  const tokens = [];
+  for (const key of FILTER_KEYS) {
+    const v = filters[key];
+    if (v === undefined || v === null) continue;
+    if (key === 'year') tokens.push(`year:${formatRange(v.from, v.to, String)}`);
+    else if (key === 'duration') tokens.push(`dur:${formatRange(v.min, v.max, formatSeconds)}`);
+    else tokens.push(`${key}:${quote(v)}`);
+  }
+  return tokens.join(' ');
+}
+
+// the canonical form of a query, what pagination and filter buttons carry
+export function formatSearchQuery({ text, filters }) {
+  return [text, formatFilters(filters)].filter(Boolean).join(' ');
+}
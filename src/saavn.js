@@ -0,0 +1,244 @@
+import fetch from 'node-fetch';
+import { CACHE_MAX_ENTRIES, SAAVN_BASE, SAAVN_RETRIES, SAAVN_TIMEOUT_MS } from './config.js';
+import { log } from './log.js';
+import { sleep } from './util.js';
+
+/* ------------------------------------------------------------------ */
+/*  API WRAPPER                                                        */
+/* ------------------------------------------------------------------ */
+
+export class SaavnError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+// upstream answered but has nothing for us (404 / success:false)
+export class SaavnNotFoundError extends SaavnError {}
+export class SaavnTimeoutError extends SaavnError {}
+// circuit breaker is open, we did not even try
+export class SaavnUnavailableError extends SaavnError {}
+
+const BREAKER_THRESHOLD = 5; // consecutive failed calls before opening
+const BREAKER_COOLDOWN_MS = 30 * 1000;
+const RETRY_BASE_MS = 300;
+
+export const breaker = { failures: 0, openUntil: 0 };
+
+// the bot plugs its stats and analytics in here
+export const saavnHooks = {
+  onRequest() {},
+  onResult() {} // (endpoint, outcome, startedAt)
+};
+
+function isRetryable(err) {
+  if (err instanceof SaavnTimeoutError) return true;
+  if (err instanceof SaavnError) return !err.status || err.status >= 500 || err.status === 429;
+  return true; // network level (ECONNRESET, DNS…)
+}
+
+function timeoutError() {
+  return new SaavnTimeoutError(`Saavn API timeout after ${SAAVN_TIMEOUT_MS}ms`);
+}
+
+// the timer covers the body too: a response that sends its headers and
+// then stalls must time out like one that never answers
+async function fetchOnce(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SAAVN_TIMEOUT_MS);
+  try {
+    let res;
+    try {
+      res = await fetch(url, { signal: controller.signal });
+    } catch (e) {
+      if (e.name === 'AbortError') throw timeoutError();
+      throw new SaavnError(`Saavn API network error: ${e.message}`, { cause: e });
+    }
+
+    if (res.status === 404) throw new SaavnNotFoundError('Saavn API 404', { status: 404 });
+    if (!res.ok) throw new SaavnError(`Saavn API error ${res.status}`, { status: res.status });
+
+    let data;
+    try {
+      data = await res.json();
+    } catch (e) {
+      if (e.name === 'AbortError' || controller.signal.aborted) throw timeoutError();
+      throw new SaavnError('Saavn API returned invalid JSON', { cause: e });
+    }
+    if (!data.success) throw new SaavnNotFoundError('Saavn API success:false');
+    return data.data || data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchSaavn(endpoint, params) {
+  const url = new URL(SAAVN_BASE + endpoint);
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) url.searchParams.set(k, v);
+  });
+
+  const started = Date.now();
+  if (breaker.openUntil > started) {
+    saavnHooks.onResult(endpoint, 'circuit_open', started);
+    throw new SaavnUnavailableError('Saavn API circuit open');
+  }
+
+  saavnHooks.onRequest();
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const data = await fetchOnce(url.toString());
+      breaker.failures = 0;
+      breaker.openUntil = 0;
+      saavnHooks.onResult(endpoint, 'ok', started);
+      return data;
+    } catch (e) {
+      if (e instanceof SaavnNotFoundError) {
+        // upstream answered, as healthy as any other response
+        breaker.failures = 0;
+        breaker.openUntil = 0;
+        saavnHooks.onResult(endpoint, 'not_found', started);
+        throw e;
+      }
+      if (attempt < SAAVN_RETRIES && isRetryable(e)) {
+        // 300ms, 600ms, 1200ms… plus a bit of jitter
+        await sleep(RETRY_BASE_MS * 2 ** attempt + Math.random() * 100);
+        continue;
+      }
+      saavnHooks.onResult(endpoint, 'error', started);
+      log.warn('Saavn call failed', { endpoint, attempts: attempt + 1, err: e });
+      breaker.failures += 1;
+      if (breaker.failures >= BREAKER_THRESHOLD) {
+        breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+        log.error('Saavn circuit open', { cooldownSec: BREAKER_COOLDOWN_MS / 1000 });
+      }
+      throw e;
+    }
+  }
+}
+
+/* ---------- response cache ---------- */
+
+export const MINUTE = 60 * 1000;
+
+// first matching prefix wins, so keep the more specific ones on top
+const CACHE_TTLS = [
+  ['/api/search', 5 * MINUTE],
+  ['/api/songs/suggestions', 30 * MINUTE],
+  ['/api/songs/lyrics', 24 * 60 * MINUTE],
+  ['/api/songs', 6 * 60 * MINUTE],
+  ['/api/albums', 6 * 60 * MINUTE],
+  ['/api/playlists', 30 * MINUTE], // trending & co. get reshuffled
+  ['/api/artists', 60 * MINUTE]
+];
+
+export const responseCache = new Map(); // Map<key, {value, expires}>, oldest first
+const inflight = new Map(); // Map<key, Promise> for requests still on the wire
+export const cacheStats = { hits: 0, misses: 0, coalesced: 0 };
+
+function cacheTtl(endpoint) {
+  const rule = CACHE_TTLS.find(([prefix]) => endpoint.startsWith(prefix));
+  return rule ? rule[1] : 0;
+}
+
+function cacheKey(endpoint, params) {
+  const parts = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${v}`);
+  return `${endpoint}?${parts.join('&')}`;
+}
+
+export function cacheGet(key) {
+  const entry = responseCache.get(key);
+  if (!entry) return undefined;
+  responseCache.delete(key);
+  if (entry.expires < Date.now()) return undefined;
+  // re-insert so Map order doubles as LRU order
+  responseCache.set(key, entry);
+  return entry.value;
+}
+
+export function cacheSet(key, value, ttl) {
+  responseCache.set(key, { value, expires: Date.now() + ttl });
+  while (responseCache.size > CACHE_MAX_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+}
+
+export function cacheHitRate() {
+  const served = cacheStats.hits + cacheStats.coalesced;
+  const total = served + cacheStats.misses;
+  return total ? Math.round((served / total) * 100) : 0;
+}
+
+async function callSaavn(endpoint, params = {}) {
+  const ttl = cacheTtl(endpoint);
+  if (!ttl) return fetchSaavn(endpoint, params);
+
+  const key = cacheKey(endpoint, params);
+  const cached = cacheGet(key);
+  if (cached !== undefined) {
+    cacheStats.hits += 1;
+    return cached;
+  }
+
+  // same request already running (e.g. song: tap followed by dl:) – share it
+  if (inflight.has(key)) {
+    cacheStats.coalesced += 1;
+    return inflight.get(key);
+  }
+
+  cacheStats.misses += 1;
+  const pending = fetchSaavn(endpoint, params)
+    .then((value) => {
+      cacheSet(key, value, ttl);
+      return value;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, pending);
+  return pending;
+}
+
+/* ---------- guessed endpoints: adjust to your docs ---------- */
+
+// search; `params` are extra filters such as {language}, passed through
+export const Saavn = {
+  searchSongs: (q, page = 0, limit = 10, params = {}) =>
+    callSaavn('/api/search/songs', { query: q, page, limit, ...params }),
+  searchAlbums: (q, page = 0, limit = 10, params = {}) =>
+    callSaavn('/api/search/albums', { query: q, page, limit, ...params }),
+  searchPlaylists: (q, page = 0, limit = 10, params = {}) =>
+    callSaavn('/api/search/playlists', { query: q, page, limit, ...params }),
+  searchArtists: (q, page = 0, limit = 10, params = {}) =>
+    callSaavn('/api/search/artists', { query: q, page, limit, ...params }),
+
+  // songs
+  songById: (id) => callSaavn('/api/songs', { id }),
+  songByLink: (link) => callSaavn('/api/songs', { link }),
+  songSuggestions: (id) => callSaavn('/api/songs/suggestions', { id }),
+  songLyrics: (id) => callSaavn('/api/songs/lyrics', { id }),
+
+  // album
+  albumById: (id, page = 0, limit = 50) =>
+    callSaavn('/api/albums', { id, page, limit }),
+  albumByLink: (link, page = 0, limit = 50) =>
+    callSaavn('/api/albums', { link, page, limit }),
+
+  // playlist
+  playlistById: (id, page = 0, limit = 50, link) =>
+    callSaavn('/api/playlists', { id, link, page, limit }),
+  playlistByLink: (link, page = 0, limit = 50) =>
+    callSaavn('/api/playlists', { link, page, limit }),
+
+  // artist
+  artistById: (id) => callSaavn('/api/artists', { id }),
+  artistByLink: (link) => callSaavn('/api/artists', { link }),
+  artistSongs: (id, page = 0, limit = 10) =>
+    callSaavn('/api/artists/songs', { id, page, limit }),
+  artistAlbums: (id, page = 0, limit = 10) =>
+    callSaavn('/api/artists/albums', { id, page, limit })
+};
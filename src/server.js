@@ -0,0 +1,82 @@
+import express from 'express';
+import { BOT_TOKEN, METRICS_TOKEN, PORT, TRUST_PROXY, WEBHOOK_SECRET, WEBHOOK_URL } from './config.js';
+import { log, renderMetrics } from './log.js';
+import { hasBearerToken } from './util.js';
+import { bot, loadState, mountAdmin, mountLyricsPage, saveState } from './bot.js';
+
+/* ------------------------------------------------------------------ */
+/*  START BOT + EXPRESS SERVER                                         */
+/* ------------------------------------------------------------------ */
+
+// webhook mode only when we know our public URL, polling otherwise
+const webhookPath = `/telegram/${WEBHOOK_SECRET.slice(0, 16)}`;
+
+export function createApp() {
+  const app = express();
+  // per visitor rate limits (the /lyrics page) need the real client address
+  app.set('trust proxy', TRUST_PROXY);
+
+  app.get('/', (req, res) => {
+    res.send('Groovia bot is running 🟢');
+  });
+
+  mountAdmin(app);
+  mountLyricsPage(app);
+
+  app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+      return res.sendStatus(401);
+    }
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  if (WEBHOOK_URL) {
+    // rejects anything without the matching X-Telegram-Bot-Api-Secret-Token
+    app.use(bot.webhookCallback(webhookPath, { secretToken: WEBHOOK_SECRET }));
+  }
+  return app;
+}
+
+export async function start() {
+  if (!BOT_TOKEN) {
+    log.error('BOT_TOKEN missing in .env');
+    process.exit(1);
+  }
+
+  await loadState();
+
+  const server = createApp().listen(PORT, () => {
+    log.info('HTTP server listening', { port: Number(PORT) });
+  });
+
+  if (WEBHOOK_URL) {
+    await bot.telegram.setWebhook(new URL(webhookPath, WEBHOOK_URL).toString(), {
+      secret_token: WEBHOOK_SECRET
+    });
+    log.info('Bot started', { mode: 'webhook' });
+  } else {
+    // launch() only resolves once polling stops, hence the callback
+    bot.launch(() => log.info('Bot started', { mode: 'polling' })).catch((e) => {
+      log.error('Polling stopped', { err: e });
+      process.exit(1);
+    });
+  }
+
+  // graceful stop: no new updates, let in-flight requests finish, flush state
+  async function shutdown(signal) {
+    log.info('Shutting down', { signal });
+    if (!WEBHOOK_URL) {
+      try {
+        bot.stop(signal);
+      } catch (_) {
+        // polling never got going
+      }
+    }
+    await new Promise((resolve) => server.close(resolve));
+    await saveState();
+    process.exit(0);
+  }
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+/* ------------------------------------------------------------------ */
+/*  SMALL HELPERS                                                      */
+/* ------------------------------------------------------------------ */
+
+// escape markdown v2 (simple version)
+export function escapeMd(text = '') {
+  return text.replace(/[_*[\]()~`>#+\-=|{}.!]/g, '\\$&');
+}
+
+export function secondsToTime(sec = 0) {
+  const t = Number(sec) || 0;
+  const m = Math.floor(t / 60).toString().padStart(2, '0');
+  const s = Math.floor(t % 60).toString().padStart(2, '0');
+  return `${m}:${s}`;
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// "Authorization: Bearer <token>" check in constant time, so response
+// timing says nothing about how much of a guess was right
+export function hasBearerToken(req, token) {
+  const header = req.get('authorization') || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,139 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { callbackData, startHarness } from './helpers/harness.js';
+
+let h;
+
+before(async () => {
+  h = await startHarness();
+});
+
+after(() => h.close());
+
+test('song button opens the detail card with its actions', async () => {
+  const calls = await h.tap('song:s1');
+  const card = calls.find((c) => c.method === 'sendPhoto');
+
+  assert.ok(h.saavn.calls.some((c) => c.path === '/media/s1-500x500.jpg'));
+  assert.match(card.payload.caption, /Tum Hi Ho/);
+  assert.match(card.payload.caption, /Arijit Singh/);
+  assert.match(card.payload.caption, /04:22/);
+  const data = callbackData(card);
+  for (const action of ['dl:s1', 'lyr:s1', 'similar:s1', 'fav:s1', 'upladd:s1']) {
+    assert.ok(data.includes(action), action);
+  }
+});
+
+test('song link resolves through the API and shows the same card', async () => {
+  const calls = await h.sendText('https://www.jiosaavn.com/song/tum-hi-ho/s1');
+  const card = calls.find((c) => c.method === 'sendPhoto');
+  assert.match(card.payload.caption, /Tum Hi Ho/);
+  assert.ok(h.saavn.calls.some((c) => c.query.link === 'https://www.jiosaavn.com/song/tum-hi-ho/s1'));
+});
+
+test('album link shows the album and its first track page', async () => {
+  const calls = await h.sendText('https://www.jiosaavn.com/album/aashiqui-2/ab1');
+  const card = calls.find((c) => c.method === 'sendPhoto');
+  assert.match(card.payload.caption, /Aashiqui 2/);
+  assert.match(card.payload.caption, /12 songs/);
+  assert.deepEqual(callbackData(card), ['abdl:ab1', 'abzip:ab1']);
+
+  const page = calls.find((c) => c.method === 'sendMessage');
+  assert.match(page.payload.text, /tracks 1–10 of 12/);
+  const data = callbackData(page);
+  assert.equal(data.filter((d) => d.startsWith('song:')).length, 10);
+  assert.ok(data.includes('trk:ab|ab1|1'));
+  assert.ok(data.includes('tjump:ab|ab1|0'));
+});
+
+test('track pages flip in place', async () => {
+  const calls = await h.tap('trk:ab|ab1|1');
+  const edit = calls.find((c) => c.method === 'editMessageText');
+
+  assert.match(edit.payload.text, /11\\\. 🎵 Tum Hi Ho \\\(Reprise\\\)/);
+  assert.match(edit.payload.text, /12\\\. 🎵 Aashiqui Theme/);
+  const data = callbackData(edit);
+  assert.deepEqual(data.filter((d) => d.startsWith('song:')), ['song:s11', 'song:s12']);
+  assert.ok(data.includes('trk:ab|ab1|0'));
+});
+
+test('playlist button shows the playlist with download buttons', async () => {
+  const calls = await h.tap('playlist:pl1');
+  const card = calls.find((c) => c.method === 'sendPhoto');
+  assert.match(card.payload.caption, /Romantic Hits/);
+  assert.deepEqual(callbackData(card), ['pldl:pl1', 'plzip:pl1']);
+
+  const page = calls.find((c) => c.method === 'sendMessage');
+  assert.deepEqual(
+    callbackData(page).filter((d) => d.startsWith('song:')),
+    ['song:s1', 'song:s3', 'song:s5']
+  );
+});
+
+test('artist profile links to songs, albums and similar artists', async () => {
+  const calls = await h.tap('artist:ar1');
+  const card = calls.find((c) => c.method === 'sendPhoto');
+  assert.match(card.payload.caption, /Arijit Singh/);
+  assert.match(card.payload.caption, /41\\\.2M/);
+  const data = callbackData(card);
+  for (const action of ['artsongs:ar1|0', 'artalbums:ar1|0', 'artdl:ar1', 'artsim:ar1']) {
+    assert.ok(data.includes(action), action);
+  }
+
+  const songs = await h.tap('artsongs:ar1|0');
+  const list = songs.find((c) => c.method === 'editMessageText');
+  assert.match(list.payload.text, /^1\\\. 🎵 Tum Hi Ho/m);
+});
+
+test('lyrics arrive as plain text without the API markup', async () => {
+  const calls = await h.tap('lyr:s1');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  assert.equal(reply.payload.parse_mode, undefined);
+  assert.match(reply.payload.text, /Tum hi ho, ab tum hi ho/);
+  assert.doesNotMatch(reply.payload.text, /<br>/);
+  assert.match(reply.payload.text, /Lyrics © T-Series$/);
+});
+
+test('the lyrics web page is rate limited per address', async () => {
+  const app = express();
+  h.mountLyricsPage(app);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/lyrics/s1`;
+  try {
+    const statuses = [];
+    for (let i = 0; i < 11; i += 1) statuses.push((await fetch(url)).status);
+    assert.deepEqual(statuses, [...Array(10).fill(200), 429]);
+  } finally {
+    server.close();
+  }
+});
+
+test('unknown ids end in a not found message, not an error', async () => {
+  const calls = await h.tap('song:missing');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  assert.match(reply.payload.text, /Nothing found/);
+});
+
+test('saving a song the API answers empty for says so and saves nothing', async () => {
+  const calls = await h.tap('fav:gone');
+  const texts = calls.map((c) => c.payload.text).filter(Boolean);
+  assert.ok(texts.some((text) => /Song not found/.test(text)), texts.join('\n'));
+  assert.equal(h.userState.get(4242).favorites.length, 0);
+});
+
+test('removing the first song of a page stays on that page', async () => {
+  const songs = Array.from({ length: 12 }, (_, i) => ({
+    id: `x${i + 1}`,
+    name: `Song ${i + 1}`,
+    primaryArtists: 'Someone',
+    duration: 200
+  }));
+  h.userState.get(4242).playlists.push({ id: 'p-pages', name: 'Pages', songs, createdAt: Date.now() });
+
+  const calls = await h.tap('urm:p-pages|x11');
+  const page = calls.find((c) => c.method === 'editMessageText');
+  assert.match(page.payload.text, /^11\\\. 🎵 Song 12/m);
+  assert.doesNotMatch(page.payload.text, /Song 10/);
+});
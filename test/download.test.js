@@ -0,0 +1,115 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callbackData, startHarness } from './helpers/harness.js';
+
+let h;
+
+before(async () => {
+  h = await startHarness();
+});
+
+after(() => h.close());
+
+test('download uploads a tagged file at the preferred quality', async () => {
+  const calls = await h.tap('dl:s1');
+  const methods = calls.map((c) => c.method);
+  assert.deepEqual(methods.filter((m) => m !== 'getMe'), [
+    'answerCallbackQuery',
+    'sendMessage',
+    'sendAudio',
+    'deleteMessage'
+  ]);
+
+  assert.ok(h.saavn.calls.some((c) => c.path === '/media/s1-320kbps.mp3'));
+  const { payload } = calls.find((c) => c.method === 'sendAudio');
+  assert.equal(payload.audio.filename, 'Arijit Singh - Tum Hi Ho.mp3');
+  // the ID3 tag with title, artist, album and cover sits in front of the frame
+  assert.ok(payload.audio.size > 417);
+  assert.equal(payload.title, 'Tum Hi Ho');
+  assert.equal(payload.performer, 'Arijit Singh');
+  assert.match(payload.thumbnail, /^attach:\/\//);
+});
+
+test('second download of the same song reuses the file_id', async () => {
+  const before = h.saavn.calls.filter((c) => c.path.startsWith('/media/')).length;
+  const calls = await h.tap('dl:s1');
+  const { payload } = calls.find((c) => c.method === 'sendAudio');
+
+  assert.equal(payload.audio, 'audio-1');
+  assert.equal(h.saavn.calls.filter((c) => c.path.startsWith('/media/')).length, before);
+});
+
+test('quality setting picks the matching CDN file', async () => {
+  await h.tap('q:96');
+  const calls = await h.tap('dl:s2');
+  assert.ok(calls.some((c) => c.method === 'sendAudio'));
+  assert.ok(h.saavn.calls.some((c) => c.path === '/media/s2-96kbps.mp3'));
+});
+
+test('downloads are remembered per user for the For You mix', async () => {
+  const u = h.userState.get(4242);
+  assert.deepEqual(u.downloads.map((d) => d.id), ['s2', 's1']);
+});
+
+test('the For You mix suggests songs around those downloads', async () => {
+  const calls = await h.sendText('/foryou');
+  const mix = calls.find((c) => c.method === 'sendMessage');
+  assert.equal(mix.payload.parse_mode, 'MarkdownV2');
+  assert.match(mix.payload.text, /Based on: Sunn Raha Hai, Tum Hi Ho/);
+  assert.match(mix.payload.text, /^1\\\. 🎵 /m);
+  const data = callbackData(mix);
+  assert.ok(data.includes('song:s3'));
+  assert.ok(data.includes('mixdl') && data.includes('mixzip'));
+  const shown = data.filter((d) => d.startsWith('song:')).map((d) => d.slice(5));
+  assert.deepEqual(h.userState.get(4242).forYou.songs.map((s) => s.id), shown);
+});
+
+test('mixes are rate limited on their own', async () => {
+  await h.sendText('/foryou');
+  await h.sendText('/foryou');
+  const calls = await h.sendText('✨ For You');
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].payload.text, /Mixes take a moment to brew 😅 Try again in \d+ sec/);
+  // a new mix from the button is the same bucket
+  const tapped = await h.tap('mixnew');
+  assert.match(tapped[0].payload.text, /Mixes take a moment/);
+});
+
+// bulk jobs run after the button's update is handled, wait for the
+// progress message to say how it ended
+async function jobEnd(since) {
+  for (let i = 0; i < 200; i += 1) {
+    const end = h.telegram
+      .find('editMessageText', since)
+      .find((c) => /^(✅|✖️)/.test(c.payload.text));
+    if (end) return end;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error('job never finished');
+}
+
+test('a zip part Telegram refuses is counted as skipped, not sent', async () => {
+  const since = h.telegram.calls.length;
+  const before = h.userState.get(4242).downloads.length;
+  h.telegram.failNext('sendDocument', 'Bad Request: file is too big');
+  await h.tap('abzip:ab1');
+  const end = await jobEnd(since);
+  assert.match(end.payload.text, /✅ Done/);
+  assert.match(end.payload.text, /0\/12 packed • 12 skipped/);
+  assert.ok(callbackData(end).some((d) => d.startsWith('jobretry:')));
+  assert.equal(h.telegram.find('sendDocument', since).length, 1);
+  assert.equal(h.userState.get(4242).downloads.length, before);
+});
+
+test('bulk uploads tagged with a track number are not reused elsewhere', async () => {
+  await h.tap('q:320');
+  const since = h.telegram.calls.length;
+  await h.tap('abdl:ab1');
+  await jobEnd(since);
+  const s1 = h.telegram.find('sendAudio', since).find((c) => c.payload.title === 'Tum Hi Ho');
+  // uploaded again with "1/12" tags rather than resent as the untagged file
+  assert.equal(typeof s1.payload.audio, 'object');
+
+  const single = await h.tap('dl:s1');
+  assert.equal(single.find((c) => c.method === 'sendAudio').payload.audio, 'audio-1');
+});
@@ -0,0 +1,70 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// stands in for the Saavn API: every GET is answered from a recorded
+// response in test/fixtures/saavn, named after the endpoint, the id /
+// link / query and the page ("/api/search/songs?query=Tum Hi Ho&page=1"
+// -> search-songs.tum-hi-ho.p1.json). No fixture means a 404, just like
+// the real API for an unknown id. "{{base}}" inside a fixture becomes
+// this server's url so audio and cover links point back here. The id
+// "stall" answers with headers and half a body, then goes quiet.
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/saavn');
+
+// one silent MPEG-1 layer III frame is enough for the bot's format sniffing
+const MP3_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+const JPEG_STUB = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+
+export function fixtureName(url) {
+  const endpoint = url.pathname.replace(/^\/api\//, '').replace(/\//g, '-');
+  const q = url.searchParams;
+  const key = (q.get('id') || q.get('link') || q.get('query') || '')
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?jiosaavn\.com\//, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  const page = Number(q.get('page')) || 0;
+  return [endpoint, key, page ? `p${page}` : null].filter(Boolean).join('.') + '.json';
+}
+
+export async function startFakeSaavn() {
+  const calls = [];
+  let base = '';
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, base);
+    calls.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (url.pathname.startsWith('/media/')) {
+      const body = url.pathname.endsWith('.mp3') ? MP3_FRAME : JPEG_STUB;
+      res.writeHead(200, { 'content-type': 'application/octet-stream' });
+      return res.end(body);
+    }
+
+    if (url.searchParams.get('id') === 'stall') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      return res.write('{"success": true, "data": [');
+    }
+
+    let body;
+    try {
+      body = await fs.readFile(path.join(FIXTURES, fixtureName(url)), 'utf8');
+    } catch (_) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ success: false, message: 'Not found' }));
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(body.replaceAll('{{base}}', base));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: base,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
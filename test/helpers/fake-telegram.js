@@ -0,0 +1,146 @@
+import http from 'http';
+
+// a Bot API that records every call instead of talking to Telegram.
+// Answers are just real enough for the bot: sent messages get ids,
+// uploaded audio gets a file_id, everything else returns true. Files
+// users "send" are registered with addFile and served like Telegram does.
+
+export const BOT_INFO = {
+  id: 900000001,
+  is_bot: true,
+  first_name: 'Groovia',
+  username: 'GrooviaTestBot',
+  can_join_groups: true,
+  can_read_all_group_messages: false,
+  supports_inline_queries: true
+};
+
+const SENDS = new Set(['sendMessage', 'sendPhoto', 'sendAudio', 'sendDocument']);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// enough multipart/form-data to see which fields and files were sent
+function parseMultipart(body, boundary) {
+  const fields = {};
+  for (const part of body.toString('latin1').split(`--${boundary}`)) {
+    const split = part.indexOf('\r\n\r\n');
+    if (split === -1) continue;
+    const head = part.slice(0, split);
+    const name = head.match(/name="([^"]+)"/)?.[1];
+    if (!name) continue;
+    const value = part.slice(split + 4).replace(/\r\n$/, '');
+    const filename = head.match(/filename="([^"]*)"/)?.[1];
+    fields[name] =
+      filename !== undefined
+        ? { filename, size: value.length }
+        : Buffer.from(value, 'latin1').toString('utf8');
+  }
+  // Telegraf sends objects (reply_markup…) as JSON strings
+  for (const [key, value] of Object.entries(fields)) {
+    if (typeof value === 'string' && /^[[{]/.test(value)) {
+      try {
+        fields[key] = JSON.parse(value);
+      } catch (_) {
+        // plain text that happens to start with a bracket
+      }
+    }
+  }
+  return fields;
+}
+
+async function parsePayload(req) {
+  const body = await readBody(req);
+  const type = req.headers['content-type'] || '';
+  if (type.startsWith('application/json')) return JSON.parse(body.toString('utf8') || '{}');
+  const boundary = type.match(/boundary=(.+)$/)?.[1];
+  if (boundary) return parseMultipart(body, boundary);
+  return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+}
+
+export async function startFakeTelegram(token) {
+  const calls = [];
+  let nextMessageId = 1000;
+  let nextFileId = 1;
+  const files = new Map(); // Map<file_id, {path, content}>
+  const failures = new Map(); // Map<method, description> for the next call only
+
+  function result(method, payload) {
+    if (method === 'getMe') return BOT_INFO;
+    if (method === 'getFile') {
+      const file = files.get(payload.file_id);
+      return {
+        file_id: payload.file_id,
+        file_unique_id: payload.file_id,
+        file_size: file.content.length,
+        file_path: file.path
+      };
+    }
+    if (!SENDS.has(method) && method !== 'editMessageText') return true;
+
+    const message = {
+      message_id: method === 'editMessageText' ? Number(payload.message_id) : nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(payload.chat_id), type: 'private' },
+      from: BOT_INFO
+    };
+    if (payload.text) message.text = payload.text;
+    if (payload.caption) message.caption = payload.caption;
+    if (method === 'sendAudio') {
+      message.audio = { file_id: `audio-${nextFileId++}`, duration: 0 };
+    }
+    return message;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const download = req.url.match(/^\/file\/bot([^/]+)\/(.+)$/);
+    if (download && download[1] === token) {
+      const file = [...files.values()].find((f) => f.path === download[2]);
+      res.writeHead(file ? 200 : 404);
+      return res.end(file?.content);
+    }
+    const m = req.url.match(/^\/bot([^/]+)\/(\w+)/);
+    if (!m || m[1] !== token) {
+      res.writeHead(401, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ ok: false, error_code: 401, description: 'Unauthorized' }));
+    }
+    const method = m[2];
+    const payload = await parsePayload(req);
+    calls.push({ method, payload });
+    if (failures.has(method)) {
+      const description = failures.get(method);
+      failures.delete(method);
+      res.writeHead(400, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ ok: false, error_code: 400, description }));
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, result: result(method, payload) }));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    // calls of one kind made after `since` (an index into calls)
+    find: (method, since = 0) => calls.slice(since).filter((c) => c.method === method),
+    // -> the Document object of a message carrying this file
+    addFile(fileName, content) {
+      const id = `doc-${nextFileId++}`;
+      const body = Buffer.from(content);
+      files.set(id, { path: `documents/${id}-${fileName}`, content: body });
+      return { file_id: id, file_unique_id: id, file_name: fileName, file_size: body.length };
+    },
+    // the next call of `method` answers with a 400 error
+    failNext(method, description = 'Bad Request: something went wrong') {
+      failures.set(method, description);
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
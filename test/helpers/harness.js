@@ -0,0 +1,90 @@
+import { startFakeSaavn } from './fake-saavn.js';
+import { startFakeTelegram } from './fake-telegram.js';
+
+// boots the real bot against both stand-ins. Config is read from the
+// environment on import, so src/ is imported only after the env is set
+// (node --test runs every file in its own process, each gets a fresh bot).
+
+const TOKEN = '123456:TEST-TOKEN';
+
+export const USER = { id: 4242, is_bot: false, first_name: 'Asha', username: 'asha', language_code: 'en' };
+
+export async function startHarness() {
+  const saavn = await startFakeSaavn();
+  const telegram = await startFakeTelegram(TOKEN);
+  Object.assign(process.env, {
+    BOT_TOKEN: TOKEN,
+    TELEGRAM_API_ROOT: telegram.url,
+    SAAVN_BASE: saavn.url,
+    SAAVN_RETRIES: '0',
+    SAAVN_TIMEOUT_MS: '1500',
+    STORAGE_DRIVER: 'memory',
+    LOG_LEVEL: 'silent'
+  });
+  const app = await import('../../src/bot.js');
+
+  let updateId = 1;
+  let messageId = 1;
+  const chat = (from) => ({ id: from.id, type: 'private', first_name: from.first_name });
+
+  // runs one update through every middleware and returns the Bot API
+  // calls it caused
+  async function dispatch(update) {
+    const since = telegram.calls.length;
+    await app.bot.handleUpdate({ update_id: updateId++, ...update });
+    return telegram.calls.slice(since);
+  }
+
+  function sendText(text, from = USER) {
+    const message = { message_id: messageId++, date: Math.floor(Date.now() / 1000), chat: chat(from), from, text };
+    const command = text.match(/^\/\w+/);
+    if (command) message.entities = [{ type: 'bot_command', offset: 0, length: command[0].length }];
+    return dispatch({ message });
+  }
+
+  function sendDocument(fileName, content, from = USER) {
+    const document = telegram.addFile(fileName, content);
+    const message = { message_id: messageId++, date: Math.floor(Date.now() / 1000), chat: chat(from), from, document };
+    return dispatch({ message });
+  }
+
+  // `message` is the one the button hangs off, a text message by default
+  function tap(data, { from = USER, message = {} } = {}) {
+    return dispatch({
+      callback_query: {
+        id: String(updateId),
+        from,
+        chat_instance: '1',
+        data,
+        message: {
+          message_id: messageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: chat(from),
+          text: 'previous screen',
+          ...message
+        }
+      }
+    });
+  }
+
+  function inlineQuery(query, { from = USER, offset = '' } = {}) {
+    return dispatch({ inline_query: { id: String(updateId), from, query, offset } });
+  }
+
+  async function close() {
+    await app.saveState();
+    await Promise.all([saavn.close(), telegram.close()]);
+  }
+
+  return { ...app, saavn, telegram, sendText, sendDocument, tap, inlineQuery, close };
+}
+
+// every button of an inline keyboard, flattened
+export function buttons(call) {
+  const markup = call.payload.reply_markup;
+  return (markup?.inline_keyboard || []).flat();
+}
+
+export function callbackData(call) {
+  return buttons(call).map((b) => b.callback_data).filter(Boolean);
+}
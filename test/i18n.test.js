@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCALES, MESSAGES, detectLocale, t, tmd } from '../src/i18n.js';
+
+test('every locale has the same keys and placeholders', () => {
+  const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+  const keys = Object.keys(MESSAGES.en).sort();
+  for (const locale of LOCALES) {
+    assert.deepEqual(Object.keys(MESSAGES[locale]).sort(), keys, locale);
+    for (const key of keys) {
+      assert.deepEqual(placeholders(MESSAGES[locale][key]), placeholders(MESSAGES.en[key]), `${locale} ${key}`);
+    }
+  }
+});
+
+test('Telegram language codes map onto our locales', () => {
+  assert.equal(detectLocale('hi'), 'hi');
+  assert.equal(detectLocale('en-GB'), 'en');
+  assert.equal(detectLocale(null), 'hinglish');
+});
+
+test('tmd escapes text and variables but keeps the catalog markup', () => {
+  assert.equal(t('en', 'count.songs', { count: 3 }), '3 songs');
+  assert.equal(tmd('en', 'similar.title'), t('en', 'similar.title').replace(/[.!-]/g, '\\$&'));
+  assert.match(tmd('en', 'search.header.song', { query: 'a.b_c' }), /a\\\.b\\_c/);
+  assert.match(tmd('en', 'search.header.song', { query: 'x' }), /^\S+ \*/);
+});
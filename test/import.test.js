@@ -0,0 +1,119 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buttons, callbackData, startHarness } from './helpers/harness.js';
+
+let h;
+let importer;
+
+before(async () => {
+  h = await startHarness();
+  importer = await import('../src/importer.js');
+});
+
+after(() => h.close());
+
+test('Exportify CSV: quoted fields, first artist, milliseconds', () => {
+  const csv =
+    '\uFEFFTrack URI,Track Name,Artist Name(s),Duration (ms)\r\n' +
+    'spotify:track:1,Tum Hi Ho,"Arijit Singh, Mithoon",262000\r\n' +
+    'spotify:track:2,"Hello, ""World""",Someone,1000\r\n';
+  const { name, entries } = importer.parsePlaylistFile('Road Trip.csv', csv);
+  assert.equal(name, 'Road Trip');
+  assert.deepEqual(entries, [
+    { title: 'Tum Hi Ho', artist: 'Arijit Singh', duration: 262 },
+    { title: 'Hello, "World"', artist: 'Someone', duration: 1 }
+  ]);
+  // no header we know: title, artist, duration by position
+  assert.deepEqual(importer.parsePlaylistFile('x.csv', 'Kesariya;Arijit Singh;4:28').entries, [
+    { title: 'Kesariya', artist: 'Arijit Singh', duration: 268 }
+  ]);
+});
+
+test('Spotify API JSON and plain lists', () => {
+  const spotify = {
+    name: 'Late Night',
+    tracks: { items: [{ track: { name: 'Tum Hi Ho', artists: [{ name: 'Arijit Singh' }], duration_ms: 262000 } }] }
+  };
+  assert.deepEqual(importer.parsePlaylistFile('dump.json', JSON.stringify(spotify)), {
+    name: 'Late Night',
+    entries: [{ title: 'Tum Hi Ho', artist: 'Arijit Singh', duration: 262 }],
+    total: 1
+  });
+  const plain = [{ title: 'Kesariya', artist: 'Arijit Singh', duration: 268 }, 'Pritam - Tum Se Hi', { nope: 1 }];
+  assert.deepEqual(importer.parsePlaylistFile('list.json', JSON.stringify(plain)).entries, [
+    { title: 'Kesariya', artist: 'Arijit Singh', duration: 268 },
+    { title: 'Tum Se Hi', artist: 'Pritam', duration: 0 }
+  ]);
+  assert.throws(() => importer.parsePlaylistFile('broken.json', '{'), importer.ImportFormatError);
+});
+
+test('M3U: #EXTINF titles, bare paths and the playlist name', () => {
+  const m3u = [
+    '#EXTM3U',
+    '#PLAYLIST:Gym',
+    '#EXTINF:262,Arijit Singh - Tum Hi Ho',
+    '/music/01.mp3',
+    'C:\\Music\\Pritam - Tum%20Se%20Hi.mp3'
+  ].join('\n');
+  assert.deepEqual(importer.parsePlaylistFile('gym.m3u', m3u), {
+    name: 'Gym',
+    entries: [
+      { title: 'Tum Hi Ho', artist: 'Arijit Singh', duration: 262 },
+      { title: 'Tum Se Hi', artist: 'Pritam', duration: 0 }
+    ],
+    total: 2
+  });
+  assert.equal(importer.isImportFile('song.mp3'), false);
+  assert.equal(importer.isImportFile('List.M3U8'), true);
+});
+
+// the review screen arrives once every row has been searched
+async function importReview(since) {
+  for (let i = 0; i < 200; i += 1) {
+    const review = h.telegram.find('sendMessage', since).find((c) => c.payload.text.startsWith('📥'));
+    if (review) return review;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error('import never finished');
+}
+
+test('an uploaded CSV is matched, reviewed and saved as a playlist', async () => {
+  const csv =
+    'Track Name,Artist Name(s),Duration (ms)\n' +
+    'Tum Hi Ho,Arijit Singh,262000\n' +
+    'Sunn Raha Hai,Ankit Tiwari,262000\n' +
+    'Definitely Not A Song,,1000\n';
+  const since = h.telegram.calls.length;
+  const calls = await h.sendDocument('Favourites.csv', csv);
+  // the handler only says it started, matching goes on in the background
+  assert.match(calls.find((c) => c.method === 'sendMessage').payload.text, /Matching songs… 0\/3/);
+  const review = await importReview(since);
+  assert.match(review.payload.text, /Favourites/);
+  assert.match(review.payload.text, /✅ 2 sure • ⚠️ 0 worth a check • ❌ 1 not found/);
+  assert.deepEqual(callbackData(review).slice(0, 3), ['imfix:0', 'imfix:1', 'imfix:2']);
+
+  // the female version is the runner-up for row 2, pick it instead
+  const fix = await h.tap('imfix:1');
+  const alternates = fix.find((c) => c.method === 'editMessageText');
+  assert.deepEqual(
+    buttons(alternates).map((b) => b.text).slice(0, 2),
+    ['✅ Sunn Raha Hai', 'Sunn Raha Hai (Female)']
+  );
+  const picked = await h.tap('impick:1|1');
+  assert.match(picked.find((c) => c.method === 'editMessageText').payload.text, /⚠️ 1 worth a check/);
+
+  const saved = await h.tap('imsave');
+  assert.match(saved.find((c) => c.method === 'sendMessage').payload.text, /Saved 2 songs to "Favourites" ✅ \(1 left out\)/);
+  const list = h.userState.get(4242).playlists.at(-1);
+  assert.deepEqual(list.songs.map((s) => s.id), ['s1', 's9']);
+  assert.ok(callbackData(saved.find((c) => c.method === 'editMessageText')).includes(`udl:${list.id}`));
+  assert.equal(h.userState.get(4242).pendingImport, null);
+});
+
+test('files that are not playlists are turned away', async () => {
+  await h.sendText('/import');
+  const calls = await h.sendDocument('cover.png', 'not a playlist');
+  assert.match(calls.find((c) => c.method === 'sendMessage').payload.text, /\.csv, \.json or \.m3u/);
+  const stale = await h.tap('imsave');
+  assert.match(stale.find((c) => c.method === 'sendMessage').payload.text, /import is closed/);
+});
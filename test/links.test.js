@@ -0,0 +1,92 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startHarness } from './helpers/harness.js';
+
+let h;
+let links;
+
+before(async () => {
+  h = await startHarness();
+  links = await import('../src/links.js');
+});
+
+after(() => h.close());
+
+test('extractUrls finds every link and drops trailing punctuation', () => {
+  const text =
+    'listen: https://www.jiosaavn.com/song/tum-hi-ho/s1, and (https://open.spotify.com/track/4u7EnebtmKWzUH433cf5Qv). ' +
+    'also jiosaavn.com/album/aashiqui-2/ab1! and again https://www.jiosaavn.com/song/tum-hi-ho/s1';
+  assert.deepEqual(links.extractUrls(text), [
+    'https://www.jiosaavn.com/song/tum-hi-ho/s1',
+    'https://open.spotify.com/track/4u7EnebtmKWzUH433cf5Qv',
+    'https://jiosaavn.com/album/aashiqui-2/ab1'
+  ]);
+  assert.deepEqual(links.extractUrls('tum hi ho'), []);
+});
+
+test('classifyLink knows JioSaavn, Spotify, YouTube and short links', () => {
+  const kind = (url) => {
+    const link = links.classifyLink(url);
+    return link && `${link.source}:${link.type || ''}`;
+  };
+  assert.equal(kind('https://www.jiosaavn.com/featured/romantic-hits/pl1'), 'saavn:playlist');
+  assert.equal(kind('https://www.jiosaavn.com/s/playlist/abc/my-mix/xyz'), 'saavn:playlist');
+  assert.equal(kind('https://www.jiosaavn.com/s/abc123'), 'short:');
+  assert.equal(kind('https://open.spotify.com/intl-de/track/4u7EnebtmKWzUH433cf5Qv?si=1'), 'spotify:song');
+  assert.equal(kind('https://open.spotify.com/playlist/37i9dQZF1DX0XUfTFmNBRM'), 'spotify:playlist');
+  assert.equal(kind('https://open.spotify.com/album/1ATL5GLyefJaxhQzSPVrLX'), 'spotify:album');
+  assert.equal(kind('https://music.youtube.com/watch?v=IJq0yyWug1k&feature=share'), 'youtube:song');
+  assert.equal(kind('https://music.youtube.com/playlist?list=RDCLAK5uy_k'), 'youtube:playlist');
+  assert.equal(kind('https://spotify.link/AbCdEf'), 'short:');
+  assert.equal(links.classifyLink('https://youtu.be/IJq0yyWug1k').url, 'https://music.youtube.com/watch?v=IJq0yyWug1k');
+  assert.equal(kind('https://www.jiosaavn.com/'), null);
+  assert.equal(kind('https://example.com/song/x'), null);
+});
+
+test('followRedirects walks the chain to the final URL', async () => {
+  const server = http.createServer((req, res) => {
+    const next = { '/a': '/b', '/b': '/song/tum-hi-ho/s1' }[req.url];
+    res.writeHead(next ? 302 : 200, next ? { location: next } : {});
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    assert.equal(await links.followRedirects(`${base}/a`), `${base}/song/tum-hi-ho/s1`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('bestMatch ignores brackets and feat. tails but not other songs', () => {
+  const items = [
+    { title: 'Tum Hi Ho (Reprise)', artist: 'Arijit Singh' },
+    { title: 'Tum Hi Ho', artist: 'Arijit Singh' },
+    { title: 'Channa Mereya', artist: 'Arijit Singh' }
+  ];
+  const pick = (query) => links.bestMatch(query, items, (x) => x)?.item;
+  assert.equal(pick({ title: 'Tum Hi Ho [Official Video]', artist: 'Arijit Singh' }).title, 'Tum Hi Ho (Reprise)');
+  assert.equal(pick({ title: 'Channa Mereya feat. Someone', artist: '' }).title, 'Channa Mereya');
+  assert.equal(pick({ title: 'Kesariya', artist: 'Arijit Singh' }), undefined);
+});
+
+test('a message with text around several links opens each of them', async () => {
+  const calls = await h.sendText(
+    'check these: https://www.jiosaavn.com/song/tum-hi-ho/s1 and https://www.jiosaavn.com/album/aashiqui-2/ab1 🔥'
+  );
+  const cards = calls.filter((c) => c.method === 'sendPhoto').map((c) => c.payload.caption);
+  assert.equal(cards.length, 2);
+  assert.match(cards[0], /Tum Hi Ho/);
+  assert.match(cards[1], /Aashiqui 2/);
+  assert.ok(!h.saavn.calls.some((c) => c.path.startsWith('/api/search')));
+});
+
+test('a link the API has never heard of does not stop the next one', async () => {
+  const calls = await h.sendText(
+    'https://www.jiosaavn.com/song/gone/zzz https://www.jiosaavn.com/song/tum-hi-ho/s1'
+  );
+  const texts = calls.filter((c) => c.method === 'sendMessage').map((c) => c.payload.text);
+  assert.ok(texts.some((t) => /Nothing found/.test(t)));
+  assert.ok(calls.some((c) => c.method === 'sendPhoto'));
+});
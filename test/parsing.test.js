@@ -0,0 +1,57 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+let h;
+
+before(async () => {
+  h = await startHarness();
+});
+
+after(() => h.close());
+
+test('detectSaavnLink tells songs, albums, playlists and artists apart', () => {
+  const cases = {
+    'https://www.jiosaavn.com/song/tum-hi-ho/EToxUyFpcwQ': 'song',
+    'http://jiosaavn.com/album/aashiqui-2/RG8yb2Fp6lM_': 'album',
+    'https://www.jiosaavn.com/featured/romantic-hits/Hs,kvQ1vgAU_': 'playlist',
+    'https://www.jiosaavn.com/artist/arijit-singh-songs/LlRWpHzy3Hk_': 'artist'
+  };
+  for (const [link, type] of Object.entries(cases)) {
+    assert.deepEqual(h.detectSaavnLink(link), { type, link });
+  }
+  assert.equal(h.detectSaavnLink('https://www.jiosaavn.com/podcasts/xyz'), null);
+  assert.equal(h.detectSaavnLink('tum hi ho'), null);
+});
+
+test('chooseDownloadUrl prefers the asked quality and falls back downwards', () => {
+  const song = {
+    downloadUrl: [
+      { quality: '96kbps', url: 'u96' },
+      { quality: '160kbps', url: 'u160' }
+    ]
+  };
+  assert.equal(h.chooseDownloadUrl(song, '96'), 'u96');
+  assert.equal(h.chooseDownloadUrl(song, '320'), 'u160');
+  assert.equal(h.chooseDownloadUrl({ download_urls: [{ quality: '320', url: 'old' }] }), 'old');
+  assert.equal(h.chooseDownloadUrl({ downloadUrl: [{ quality: '12kbps', url: 'last' }] }), 'last');
+  assert.equal(h.chooseDownloadUrl({}), null);
+});
+
+test('parseTrackRange reads ranges and single tracks within the list', () => {
+  assert.deepEqual(h.parseTrackRange('11-25', 30), { from: 11, to: 25 });
+  assert.deepEqual(h.parseTrackRange(' 3 to 4 ', 30), { from: 3, to: 4 });
+  assert.deepEqual(h.parseTrackRange('7 – 9', 30), { from: 7, to: 9 });
+  assert.deepEqual(h.parseTrackRange('5', 30), { from: 5, to: 5 });
+  assert.equal(h.parseTrackRange('25-11', 30), null);
+  assert.equal(h.parseTrackRange('1-31', 30), null);
+  assert.equal(h.parseTrackRange('0', 30), null);
+  assert.equal(h.parseTrackRange('all', 30), null);
+});
+
+test('pickSong accepts every /api/songs response shape', () => {
+  const song = { id: 's1' };
+  assert.equal(h.pickSong([song]), song);
+  assert.equal(h.pickSong({ results: [song] }), song);
+  assert.equal(h.pickSong(song), song);
+});
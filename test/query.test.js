@@ -0,0 +1,98 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callbackData, startHarness } from './helpers/harness.js';
+
+let h;
+let q;
+
+before(async () => {
+  h = await startHarness();
+  q = await import('../src/query.js');
+});
+
+after(() => h.close());
+
+test('parseSearchQuery pulls filters out of the text', () => {
+  assert.deepEqual(
+    q.parseSearchQuery('tum hi ho LANG:Hindi year:2010-2015 artist:"Arijit Singh" dur:<5:00'),
+    {
+      text: 'tum hi ho',
+      filters: {
+        lang: 'hindi',
+        year: { from: 2010, to: 2015 },
+        artist: 'Arijit Singh',
+        duration: { min: null, max: 300 }
+      }
+    }
+  );
+  const loose = q.parseSearchQuery('year:>2015 dur:4 album:Aashiqui mood:sad year:soon');
+  assert.equal(loose.text, 'mood:sad');
+  assert.deepEqual(loose.filters, {
+    year: { from: 2016, to: null },
+    duration: { min: 210, max: 270 },
+    album: 'Aashiqui'
+  });
+});
+
+test('formatSearchQuery writes the canonical form that parses back the same', () => {
+  const parsed = q.parseSearchQuery('dur:3m-5m x language:punjabi year:-1999 artist:"A B"');
+  const canonical = q.formatSearchQuery(parsed);
+  assert.equal(canonical, 'x lang:punjabi year:-1999 artist:"A B" dur:3m-5m');
+  assert.deepEqual(q.parseSearchQuery(canonical), parsed);
+});
+
+test('filters the API cannot apply are applied to a larger page', async () => {
+  const calls = await h.sendText('/song kesariya year:2020- dur:<5:00');
+  const search = h.saavn.calls.at(-1);
+  assert.equal(search.query.limit, '50');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  assert.match(reply.payload.text, /🎛 year:2020\\- dur:\\-5m/);
+  assert.match(reply.payload.text, /Page 1\/1/);
+  assert.deepEqual(callbackData(reply).filter((d) => d.startsWith('song:')), ['song:k1', 'song:k5']);
+});
+
+test('language goes to the API and is checked again on our side', async () => {
+  const calls = await h.sendText('/song kesariya lang:punjabi');
+  assert.equal(h.saavn.calls.at(-1).query.language, 'punjabi');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  assert.deepEqual(callbackData(reply).filter((d) => d.startsWith('song:')), ['song:k3']);
+
+  const none = await h.sendText('/song kesariya lang:tamil');
+  const empty = none.find((c) => c.method === 'sendMessage');
+  assert.match(empty.payload.text, /Nothing matches lang:tamil/);
+  assert.ok(callbackData(empty)[0].startsWith('sfilt:song|'));
+});
+
+test('the filter keyboard edits the search and runs it', async () => {
+  const results = await h.sendText('/song kesariya');
+  const open = callbackData(results.find((c) => c.method === 'sendMessage')).find((d) => d.startsWith('sfilt:'));
+  assert.equal(open, 'sfilt:song|kesariya');
+
+  const editor = (await h.tap(open)).find((c) => c.method === 'sendMessage');
+  assert.ok(callbackData(editor).includes('sf:lang|punjabi'));
+  assert.ok(callbackData(editor).includes('sfask:artist'));
+
+  await h.tap('sf:year|2020-');
+  await h.tap('sfask:artist');
+  const edited = await h.sendText('Sid Sriram');
+  assert.match(edited.find((c) => c.method === 'sendMessage').payload.text, /year:2020\\- artist:"Sid Sriram"/);
+
+  const run = await h.tap('sfgo');
+  const reply = run.find((c) => c.method === 'sendMessage');
+  assert.deepEqual(callbackData(reply).filter((d) => d.startsWith('song:')), ['song:k5']);
+  assert.equal(h.userState.get(4242).query, 'kesariya year:2020- artist:"Sid Sriram"');
+});
+
+test('queries too long for callback data are passed by reference', async () => {
+  const long = `kesariya album:"${'Brahmastra '.repeat(6).trim()}" year:2022`;
+  const calls = await h.sendText(`/song ${long}`);
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  for (const data of callbackData(reply)) assert.ok(Buffer.byteLength(data) <= 64, data);
+  const open = callbackData(reply).find((d) => d.startsWith('sfilt:'));
+  assert.match(open, /^sfilt:song\|#/);
+  const editor = (await h.tap(open)).find((c) => c.method === 'sendMessage');
+  assert.match(editor.payload.text, /Brahmastra Brahmastra/);
+
+  const gone = await h.tap('page:song|#unknownref|1');
+  assert.equal(gone.find((c) => c.method === 'answerCallbackQuery').payload.text, 'This search has expired, search again');
+});
@@ -0,0 +1,71 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+let h;
+let api;
+
+before(async () => {
+  h = await startHarness();
+  api = await import('../src/saavn.js');
+});
+
+after(() => h.close());
+
+// one call per Saavn.* method, all answered by test/fixtures/saavn
+const CALLS = {
+  searchSongs: ['Tum Hi Ho'],
+  searchAlbums: ['Aashiqui'],
+  searchPlaylists: ['Romance'],
+  searchArtists: ['Arijit'],
+  songById: ['s1'],
+  songByLink: ['https://www.jiosaavn.com/song/tum-hi-ho/s1'],
+  songSuggestions: ['s1'],
+  songLyrics: ['s1'],
+  albumById: ['ab1'],
+  albumByLink: ['https://www.jiosaavn.com/album/aashiqui-2/ab1'],
+  playlistById: ['pl1'],
+  playlistByLink: ['https://www.jiosaavn.com/featured/romantic-hits/pl1'],
+  artistById: ['ar1'],
+  artistByLink: ['https://www.jiosaavn.com/artist/arijit-singh/ar1'],
+  artistSongs: ['ar1'],
+  artistAlbums: ['ar1']
+};
+
+test('every Saavn method has a fixture and unwraps the data envelope', async () => {
+  assert.deepEqual(Object.keys(CALLS).sort(), Object.keys(api.Saavn).sort());
+  for (const [method, args] of Object.entries(CALLS)) {
+    const data = await api.Saavn[method](...args);
+    assert.ok(data && typeof data === 'object', method);
+    assert.equal(data.success, undefined, method);
+  }
+});
+
+test('unknown ids raise SaavnNotFoundError without retrying', async () => {
+  const before = h.saavn.calls.length;
+  await assert.rejects(api.Saavn.songById('nope'), api.SaavnNotFoundError);
+  assert.equal(h.saavn.calls.length, before + 1);
+});
+
+test('identical calls are cached, pages are cached separately', async () => {
+  const before = h.saavn.calls.length;
+  await api.Saavn.albumById('ab1');
+  await api.Saavn.albumById('ab1');
+  assert.equal(h.saavn.calls.length, before);
+
+  await api.Saavn.searchSongs('Tum Hi Ho', 1);
+  await api.Saavn.searchSongs('Tum Hi Ho', 1);
+  assert.equal(h.saavn.calls.length, before + 1);
+});
+
+test('a body that stalls after the headers still times out', { timeout: 10000 }, async () => {
+  const started = Date.now();
+  await assert.rejects(api.Saavn.songById('stall'), api.SaavnTimeoutError);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('a not found answer clears earlier failures for the breaker', async () => {
+  api.breaker.failures = 4;
+  await assert.rejects(api.Saavn.songById('nope-again'), api.SaavnNotFoundError);
+  assert.equal(api.breaker.failures, 0);
+});
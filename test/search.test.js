@@ -0,0 +1,120 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { USER, callbackData, startHarness } from './helpers/harness.js';
+
+let h;
+// a combined search costs four search tokens, a second user keeps the
+// first one's bucket from running dry halfway through the file
+const RAVI = { ...USER, id: 4343, first_name: 'Ravi', username: 'ravi' };
+
+before(async () => {
+  h = await startHarness();
+});
+
+after(() => h.close());
+
+test('plain text searches every kind at once, with a way into each list', async () => {
+  const calls = await h.sendText('Tum Hi Ho');
+  const [reply] = calls.filter((c) => c.method === 'sendMessage');
+
+  assert.equal(reply.payload.parse_mode, 'MarkdownV2');
+  assert.match(reply.payload.text, /Results\* for _Tum Hi Ho_/);
+  assert.match(reply.payload.text, /🎵 Songs[^]*📀 Albums[^]*👤 Artists/);
+  assert.doesNotMatch(reply.payload.text, /Playlists/);
+  const data = callbackData(reply);
+  assert.deepEqual(
+    data.filter((d) => d.startsWith('song:')),
+    ['s1', 's2', 's3', 's4', 's5'].map((id) => `song:${id}`)
+  );
+  assert.ok(data.includes('album:ab1'));
+  assert.ok(data.includes('artist:ar1'));
+  // only songs have more than fit here
+  assert.deepEqual(data.filter((d) => d.startsWith('page:')), ['page:song|Tum%20Hi%20Ho|0']);
+
+  const searched = h.saavn.calls.filter((c) => c.path.startsWith('/api/search/')).map((c) => c.path);
+  assert.deepEqual(searched.sort(), ['albums', 'artists', 'playlists', 'songs'].map((k) => `/api/search/${k}`));
+  const [search] = h.saavn.calls.filter((c) => c.path === '/api/search/songs');
+  assert.deepEqual(search.query, { query: 'Tum Hi Ho', page: '0', limit: '10' });
+});
+
+test('"more songs" opens the paginated song search', async () => {
+  const calls = await h.tap('page:song|Tum%20Hi%20Ho|0');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+
+  assert.match(reply.payload.text, /Page 1\/2/);
+  const data = callbackData(reply);
+  assert.deepEqual(
+    data.filter((d) => d.startsWith('song:')),
+    ['s1', 's2', 's3', 's4', 's5', 's6', 's7', 's8', 's9', 's10'].map((id) => `song:${id}`)
+  );
+  assert.ok(data.includes('page:song|Tum%20Hi%20Ho|1'));
+});
+
+test('next page button fetches the second page', async () => {
+  const calls = await h.tap('page:song|Tum%20Hi%20Ho|1');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+
+  assert.match(reply.payload.text, /Page 2\/2/);
+  assert.match(reply.payload.text, /11\\\. 🎵 Tum Hi Ho \\\(Reprise\\\)/);
+  const data = callbackData(reply);
+  assert.deepEqual(data.filter((d) => d.startsWith('song:')), ['song:s11', 'song:s12']);
+  assert.ok(data.includes('page:song|Tum%20Hi%20Ho|0'));
+  assert.ok(!data.some((d) => d.endsWith('|2')));
+  assert.ok(calls.some((c) => c.method === 'answerCallbackQuery'));
+});
+
+test('repeating a search is served from the cache', async () => {
+  const songSearches = () => h.saavn.calls.filter((c) => c.path === '/api/search/songs').length;
+  const before = songSearches();
+  await h.sendText('Tum Hi Ho', RAVI);
+  assert.equal(songSearches(), before);
+});
+
+test('menu button switches the search type', async () => {
+  const prompt = await h.sendText('📀 Search albums');
+  assert.match(prompt.find((c) => c.method === 'sendMessage').payload.text, /album/i);
+
+  const calls = await h.sendText('Aashiqui');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  assert.match(reply.payload.text, /Aashiqui 2/);
+  assert.ok(callbackData(reply).includes('album:ab1'));
+});
+
+test('/song works with arguments and no results get a friendly reply', async () => {
+  const calls = await h.sendText('/song definitely not a song');
+  const reply = calls.find((c) => c.method === 'sendMessage');
+  assert.match(reply.payload.text, /^Nothing found/);
+  assert.equal(reply.payload.reply_markup, undefined);
+});
+
+test('a combined search with no hits anywhere says so once', async () => {
+  const calls = await h.sendText('definitely not a song', RAVI);
+  const replies = calls.filter((c) => c.method === 'sendMessage');
+  assert.equal(replies.length, 1);
+  assert.match(replies[0].payload.text, /^Nothing found/);
+});
+
+test('a combined search is charged one search token per kind', async () => {
+  const meera = { ...USER, id: 4444, first_name: 'Meera', username: 'meera' };
+  await h.sendText('Tum Hi Ho', meera);
+  await h.sendText('Tum Hi Ho', meera);
+  const third = await h.sendText('Tum Hi Ho', meera);
+  assert.equal(third.length, 1);
+  assert.match(third[0].payload.text, /^Easy there 😅 Try again in \d+ sec/);
+  // what is left still pays for a search of one kind
+  const single = await h.sendText('/song Tum Hi Ho', meera);
+  assert.match(single.find((c) => c.method === 'sendMessage').payload.text, /Page 1\/2/);
+});
+
+test('inline queries are answered even when nothing matches', async () => {
+  const calls = await h.inlineQuery('no fixture for this one');
+  const answer = calls.find((c) => c.method === 'answerInlineQuery');
+  assert.deepEqual(answer.payload.results, []);
+});
+
+test('inline queries return songs as audio results', async () => {
+  const calls = await h.inlineQuery('Tum Hi Ho', { from: RAVI });
+  const { results } = calls.find((c) => c.method === 'answerInlineQuery').payload;
+  assert.equal(results[0].type, 'audio');
+  assert.equal(results[0].id, 'ss1');
+});